@@ -11,6 +11,7 @@
 
 const Report = require('../models/Report');
 const TextSimilarityEngine = require('./textSimilarity');
+const { OPEN_STATUSES } = require('../services/workflow');
 
 const textEngine = new TextSimilarityEngine();
 
@@ -106,7 +107,7 @@ async function detectDuplicates(newReport) {
 
   // Step 1: Find candidate reports (nearby + same category + recent)
   const query = {
-    status: { $ne: 'resolved' },
+    status: { $in: OPEN_STATUSES },
     createdAt: { $gte: new Date(Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000) }
   };
 
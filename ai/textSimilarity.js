@@ -5,6 +5,13 @@
  * Includes domain-specific synonym expansion for better matching of civic reports.
  */
 
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class TextSimilarityEngine {
   constructor() {
     this.stopWords = new Set([
@@ -215,6 +222,51 @@ class TextSimilarityEngine {
     return intersection.size / union.size;
   }
 
+  /**
+   * Stemmed search terms for a query, expanded with civic synonyms
+   */
+  searchTerms(queryText) {
+    const terms = this.expandWithSynonyms(this.tokenize(queryText)).map(t => this.stem(t));
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Build a case-insensitive regex matching any word that starts with one of the terms
+   */
+  termsRegex(terms) {
+    if (!terms.length) return null;
+    const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b(?:${escaped.join('|')})\\w*`, 'gi');
+  }
+
+  /**
+   * Cut a snippet around the first query match, HTML-escape it and wrap every match in <mark> tags.
+   * Returns null when the text does not match.
+   */
+  highlight(text, terms, radius = 60) {
+    const regex = this.termsRegex(terms);
+    if (!text || !regex) return null;
+
+    const first = regex.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - radius);
+    const end = Math.min(text.length, first.index + first[0].length + radius);
+    const raw = text.slice(start, end);
+    regex.lastIndex = 0;
+
+    // Escape the user text piece by piece so only our <mark> tags are HTML
+    let snippet = '';
+    let last = 0;
+    for (const match of raw.matchAll(regex)) {
+      snippet += escapeHtml(raw.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(raw.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
   /**
    * Extract key terms (top N by TF-IDF score) from text
    */
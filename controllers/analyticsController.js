@@ -0,0 +1,73 @@
+const { buildReportFilter } = require('../services/reportQuery');
+const {
+  INTERVALS,
+  GROUP_FIELDS,
+  createdResolvedSeries,
+  resolutionTimes,
+  backlogSeries,
+  aiFlagShare
+} = require('../services/analytics');
+
+// Split the listing filter into the date range and the remaining filters
+const parseAnalyticsQuery = (query) => {
+  const { filter, error } = buildReportFilter(query);
+  if (error) return { error };
+
+  const { createdAt, ...rest } = filter;
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+
+  return {
+    filter: rest,
+    fullFilter: filter,
+    range: { from: createdAt?.$gte, to: createdAt?.$lte },
+    interval
+  };
+};
+
+const handle = (metric) => async (req, res) => {
+  try {
+    const parsed = parseAnalyticsQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const data = await metric(parsed, req);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Analytics query failed:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Reports created and resolved per day, week or month
+// @route   GET /api/analytics/trends?interval=day|week|month&from=&to=
+// @access  Private/Admin
+exports.getTrends = handle(({ filter, range, interval }) =>
+  createdResolvedSeries(filter, range, interval));
+
+// @desc    Median and p90 time-to-resolve grouped by category, department or ward
+// @route   GET /api/analytics/resolution-times?groupBy=category|department|ward
+// @access  Private/Admin
+exports.getResolutionTimes = async (req, res) => {
+  const groupBy = req.query.groupBy || 'category';
+  if (!GROUP_FIELDS[groupBy]) {
+    return res.status(400).json({
+      success: false,
+      message: `groupBy must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`
+    });
+  }
+  return handle(({ filter, range }) => resolutionTimes(filter, range, groupBy))(req, res);
+};
+
+// @desc    Open backlog at the end of each interval
+// @route   GET /api/analytics/backlog?interval=day|week|month&from=&to=
+// @access  Private/Admin
+exports.getBacklog = handle(({ filter, range, interval }) =>
+  backlogSeries(filter, range, interval));
+
+// @desc    Share of reports flagged by AI
+// @route   GET /api/analytics/ai-flags?from=&to=
+// @access  Private/Admin
+exports.getAiFlagShare = handle(({ fullFilter }) => aiFlagShare(fullFilter));
@@ -1,9 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Department = require('../models/Department');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const streamifier = require('streamifier');
+const { EMAIL_EVENTS } = require('../services/emailNotifications');
 
 // --- Cloudinary and Multer Setup ---
 cloudinary.config({
@@ -126,4 +129,86 @@ exports.getMe = async (req, res) => {
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
-};
\ No newline at end of file
+};
+// @desc    Update the current user's email preferences
+// @route   PUT /api/auth/me/email-preferences
+// @access  Private
+exports.updateEmailPreferences = async (req, res) => {
+  const updates = {};
+  for (const [key, value] of Object.entries(req.body || {})) {
+    if (!EMAIL_EVENTS.includes(key)) {
+      return res.status(400).json({ success: false, message: `Unknown email preference '${key}'. Valid: ${EMAIL_EVENTS.join(', ')}` });
+    }
+    if (typeof value !== 'boolean') {
+      return res.status(400).json({ success: false, message: `Email preference '${key}' must be true or false` });
+    }
+    updates[`emailPreferences.${key}`] = value;
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.status(200).json({ success: true, data: user.emailPreferences });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Change a user's role and department
+// @route   PUT /api/auth/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res) => {
+  const { role, department } = req.body;
+  const staffRoles = ['department_officer', 'field_worker'];
+
+  if (!role) {
+    return res.status(400).json({ success: false, message: 'Role is required' });
+  }
+  if (staffRoles.includes(role) && !department) {
+    return res.status(400).json({ success: false, message: 'Department staff must belong to a department' });
+  }
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid user id' });
+  }
+  if (staffRoles.includes(role) && !mongoose.isValidObjectId(department)) {
+    return res.status(400).json({ success: false, message: 'Invalid department id' });
+  }
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    let newDepartment = null;
+    if (staffRoles.includes(role)) {
+      newDepartment = await Department.findById(department);
+      if (!newDepartment) {
+        return res.status(400).json({ success: false, message: 'Department not found' });
+      }
+    }
+
+    // Keep department membership lists in step with the user's assignment
+    if (user.department && user.department.toString() !== newDepartment?._id.toString()) {
+      await Department.updateOne({ _id: user.department }, { $pull: { members: user._id } });
+    }
+    if (newDepartment) {
+      await Department.updateOne({ _id: newDepartment._id }, { $addToSet: { members: user._id } });
+    }
+
+    user.role = role;
+    user.department = newDepartment ? newDepartment._id : undefined;
+    await user.save();
+
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    let message = 'Server Error';
+    if (error.name === 'ValidationError') {
+      message = Object.values(error.errors).map(val => val.message).join(', ');
+      return res.status(400).json({ success: false, message });
+    }
+    res.status(500).json({ success: false, message });
+  }
+};
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const { screenText, setModerationStatus, FLAG_HOLD_THRESHOLD } = require('../services/moderation');
+const { EVENTS, EVENT_REPORT_FIELDS, emitEvent } = require('../services/events');
+
+// Roles allowed to post official responses
+const OFFICIAL_ROLES = ['admin', 'department_officer', 'field_worker'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const COMMENT_AUTHOR_FIELDS = 'username profilePhoto role';
+
+const MAX_TEXT_LENGTH = Comment.schema.path('text').options.maxlength;
+
+// Message for comment text that cannot be saved, or null when it is fine
+const textError = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return 'Comment text is required';
+  if (text.trim().length > MAX_TEXT_LENGTH) return `Comment text cannot exceed ${MAX_TEXT_LENGTH} characters`;
+  return null;
+};
+
+// Reasons recorded when the word filter holds a comment
+const filterReasons = (matches) => [...new Set(matches.map(m => `Matched ${m.category} filter`))];
+
+// Hide the text of deleted comments while keeping their place in the thread
+const presentComment = (comment) => {
+  const data = comment.toObject ? comment.toObject() : comment;
+  if (data.isDeleted) {
+    data.text = '[deleted]';
+    data.user = null;
+  }
+  data.isEdited = !!data.editedAt;
+  return data;
+};
+
+// @desc    Add a comment or reply to a report
+// @route   POST /api/reports/:id/comment
+// @access  Private
+exports.addComment = async (req, res) => {
+  try {
+    const { text, parentId, official } = req.body;
+    const invalid = textError(text);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+    if (req.user.isBanned) {
+      return res.status(403).json({ success: false, message: 'Your account has been banned from commenting' });
+    }
+
+    const report = await Report.findById(req.params.id).select(EVENT_REPORT_FIELDS);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, report: report._id });
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({ success: false, message: 'Parent comment not found' });
+      }
+    }
+
+    const isOfficial = official === true || official === 'true';
+    if (isOfficial && !OFFICIAL_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Only officials can post official responses' });
+    }
+
+    const screening = await screenText(text);
+
+    const comment = await Comment.create({
+      report: report._id,
+      user: req.user.id,
+      parent: parent ? parent._id : null,
+      text: text.trim(),
+      isOfficial,
+      // Official top-level responses are pinned to the top of the discussion
+      isPinned: isOfficial && !parent,
+      moderationStatus: screening.clean ? 'approved' : 'pending',
+      moderationReasons: filterReasons(screening.matches)
+    });
+
+    await Promise.all([
+      screening.clean ? Report.updateOne({ _id: report._id }, { $inc: { commentCount: 1 } }) : null,
+      parent ? Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } }) : null
+    ]);
+
+    emitEvent(EVENTS.COMMENTED, { report, comment, actorId: req.user.id });
+
+    await comment.populate('user', COMMENT_AUTHOR_FIELDS);
+    res.status(201).json({
+      success: true,
+      message: screening.clean ? 'Comment posted' : 'Comment held for review by a moderator',
+      data: presentComment(comment)
+    });
+  } catch (error) {
+    console.error('❌ Error adding comment:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    List top-level comments on a report, or replies to one comment with ?parent=
+// @route   GET /api/reports/:id/comments
+// @access  Public
+exports.getComments = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid report id' });
+  }
+  if (req.query.parent && !mongoose.Types.ObjectId.isValid(req.query.parent)) {
+    return res.status(400).json({ success: false, message: 'Invalid parent comment id' });
+  }
+
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+    const filter = { report: req.params.id, parent: req.query.parent || null };
+
+    // Admins see everything; authors also see their own comments awaiting review
+    if (req.user?.role !== 'admin') {
+      filter.$or = [{ moderationStatus: 'approved' }];
+      if (req.user) filter.$or.push({ moderationStatus: 'pending', user: req.user._id });
+    }
+
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(filter),
+      Comment.find(filter)
+        .sort({ isPinned: -1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', COMMENT_AUTHOR_FIELDS)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null
+      },
+      data: comments.map(presentComment)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Edit your own comment
+// @route   PUT /api/comments/:id
+// @access  Private
+exports.updateComment = async (req, res) => {
+  try {
+    const { text } = req.body;
+    const invalid = textError(text);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'User not authorized to edit this comment' });
+    }
+
+    comment.text = text.trim();
+    comment.editedAt = new Date();
+
+    // Edited text goes through the filter again
+    const screening = await screenText(text);
+    if (!screening.clean && comment.moderationStatus === 'approved') {
+      comment.moderationReasons = filterReasons(screening.matches);
+      await setModerationStatus(comment, 'pending');
+    } else {
+      await comment.save();
+    }
+    await comment.populate('user', COMMENT_AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: screening.clean ? 'Comment updated' : 'Comment held for review by a moderator',
+      data: presentComment(comment)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Delete a comment (owner or admin)
+// @route   DELETE /api/comments/:id
+// @access  Private
+exports.deleteComment = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'User not authorized to delete this comment' });
+    }
+
+    const wasVisible = comment.moderationStatus === 'approved';
+
+    // Comments with replies stay as a placeholder so the thread is not orphaned
+    if (comment.replyCount > 0) {
+      comment.isDeleted = true;
+      comment.isPinned = false;
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+      if (comment.parent) {
+        await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+      }
+    }
+    if (wasVisible) {
+      await Report.updateOne({ _id: comment.report }, { $inc: { commentCount: -1 } });
+    }
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Flag a comment as abusive
+// @route   POST /api/comments/:id/flag
+// @access  Private
+exports.flagComment = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.isDeleted || comment.moderationStatus === 'hidden') {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (comment.flags.some(f => f.user.toString() === req.user.id)) {
+      return res.status(409).json({ success: false, message: 'You have already flagged this comment' });
+    }
+
+    comment.flags.push({ user: req.user.id, reason: (req.body.reason || '').trim().slice(0, 200) });
+    comment.flagCount = comment.flags.length;
+
+    // Enough flags pull an approved comment back for review (unless a moderator already approved it)
+    if (comment.moderationStatus === 'approved' && !comment.moderatedBy && comment.flagCount >= FLAG_HOLD_THRESHOLD) {
+      comment.moderationReasons.push(`Flagged by ${comment.flagCount} users`);
+      await setModerationStatus(comment, 'pending');
+    } else {
+      await comment.save();
+    }
+
+    res.status(200).json({ success: true, message: 'Comment flagged for review', data: { flagCount: comment.flagCount } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Pin or unpin an official response
+// @route   PUT /api/comments/:id/pin
+// @access  Private/Staff
+exports.togglePin = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (!comment.isOfficial || comment.parent) {
+      return res.status(400).json({ success: false, message: 'Only top-level official responses can be pinned' });
+    }
+
+    comment.isPinned = !comment.isPinned;
+    await comment.save();
+    res.status(200).json({ success: true, data: presentComment(comment) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
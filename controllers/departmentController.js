@@ -0,0 +1,182 @@
+const Department = require('../models/Department');
+const Report = require('../models/Report');
+const User = require('../models/User');
+
+// Fields admins may set on a department
+const pickDepartmentFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'contactEmail', 'contactPhone', 'members', 'categories', 'wards', 'isActive']
+    .forEach(key => {
+      if (body[key] !== undefined) fields[key] = body[key];
+    });
+  return fields;
+};
+
+const STAFF_ROLES = ['department_officer', 'field_worker'];
+
+// Reject member lists that reference missing users or users without a staff
+// role. Granting the role is done through authController.updateUserRole,
+// not by editing a member list.
+const validateMembers = async (members) => {
+  if (!members) return null;
+  if (!Array.isArray(members)) return 'Members must be an array of user IDs';
+  const users = await User.find({ _id: { $in: members } }).select('username role').lean();
+  if (users.length !== new Set(members.map(String)).size) return 'One or more members do not exist';
+
+  const nonStaff = users.filter(user => !STAFF_ROLES.includes(user.role));
+  if (nonStaff.length) {
+    return `Only department staff can be members; give ${nonStaff.map(u => u.username).join(', ')} `
+      + 'a staff role through PUT /api/auth/users/:id/role first';
+  }
+  return null;
+};
+
+// Take users out of a department: staff lose their staff role, since staff
+// must belong to a department (see authController.updateUserRole)
+const releaseMembers = async (departmentId, userIds) => {
+  const filter = { department: departmentId };
+  if (userIds) filter._id = { $in: userIds };
+  await User.updateMany({ ...filter, role: { $in: STAFF_ROLES } }, { $set: { role: 'user' } });
+  await User.updateMany(filter, { $unset: { department: 1 } });
+};
+
+// User.department decides what department staff can see, so mirror every
+// member list change onto the users themselves
+const syncMemberships = async (department, previousMembers = []) => {
+  const current = department.members.map(String);
+  const previous = previousMembers.map(String);
+  const added = current.filter(id => !previous.includes(id));
+  const removed = previous.filter(id => !current.includes(id));
+
+  if (added.length) {
+    // A user belongs to one department at a time
+    await Department.updateMany(
+      { _id: { $ne: department._id }, members: { $in: added } },
+      { $pull: { members: { $in: added } } }
+    );
+    await User.updateMany({ _id: { $in: added } }, { $set: { department: department._id } });
+  }
+  if (removed.length) {
+    await releaseMembers(department._id, removed);
+  }
+};
+
+const handleWriteError = (res, error) => {
+  let message = error.message;
+  if (error.code === 11000) {
+    message = 'A department with that name already exists';
+  } else if (error.name === 'ValidationError') {
+    message = Object.values(error.errors).map(val => val.message).join(', ');
+  }
+  res.status(400).json({ success: false, message });
+};
+
+// @desc    List departments
+// @route   GET /api/departments
+// @access  Private
+exports.getDepartments = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const departments = await Department.find(filter)
+      .populate('members', 'username email role')
+      .sort({ name: 1 });
+    res.status(200).json({ success: true, count: departments.length, data: departments });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get a single department
+// @route   GET /api/departments/:id
+// @access  Private
+exports.getDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('members', 'username email phone role');
+    if (!department) {
+      return res.status(404).json({ success: false, message: 'Department not found' });
+    }
+    res.status(200).json({ success: true, data: department });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Create a department
+// @route   POST /api/departments
+// @access  Private/Admin
+exports.createDepartment = async (req, res) => {
+  try {
+    const fields = pickDepartmentFields(req.body);
+    const memberError = await validateMembers(fields.members);
+    if (memberError) {
+      return res.status(400).json({ success: false, message: memberError });
+    }
+
+    const department = await Department.create(fields);
+    await syncMemberships(department);
+    res.status(201).json({ success: true, data: department });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Update a department
+// @route   PUT /api/departments/:id
+// @access  Private/Admin
+exports.updateDepartment = async (req, res) => {
+  try {
+    const fields = pickDepartmentFields(req.body);
+    const memberError = await validateMembers(fields.members);
+    if (memberError) {
+      return res.status(400).json({ success: false, message: memberError });
+    }
+
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ success: false, message: 'Department not found' });
+    }
+
+    const previousName = department.name;
+    const previousMembers = [...department.members];
+    department.set(fields);
+    await department.save();
+    if (fields.members) await syncMemberships(department, previousMembers);
+
+    // Keep the denormalised name on reports in step with a rename
+    if (department.name !== previousName) {
+      await Report.updateMany({ department: department._id }, { assignedDepartment: department.name });
+    }
+
+    res.status(200).json({ success: true, data: department });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Delete a department and unassign its reports
+// @route   DELETE /api/departments/:id
+// @access  Private/Admin
+exports.deleteDepartment = async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ success: false, message: 'Department not found' });
+    }
+
+    const result = await Report.updateMany(
+      { department: department._id },
+      { assignedDepartment: 'Unassigned', $unset: { department: 1 } }
+    );
+    await releaseMembers(department._id);
+    await department.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `Department deleted, ${result.modifiedCount} report(s) unassigned`,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
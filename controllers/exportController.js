@@ -0,0 +1,79 @@
+const Report = require('../models/Report');
+const { buildReportFilter } = require('../services/reportQuery');
+const {
+  EXPORT_FIELDS,
+  UNMAPPED_FILTER,
+  parseColumns,
+  streamGeoJSON,
+  streamKML,
+  streamCSV,
+  streamXLSX
+} = require('../services/reportExport');
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', stream: streamGeoJSON },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', stream: streamKML, unmappedSection: true },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', stream: streamCSV, tabular: true },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    stream: streamXLSX,
+    tabular: true
+  }
+};
+
+// Build the filtered cursor shared by every export format
+const exportCursor = (req, extraFilter = {}) => {
+  const { filter, error } = buildReportFilter(req.query);
+  if (error) return { error };
+  const cursor = Report.find({ $and: [{ ...filter, ...req.reportScope }, extraFilter] })
+    .select(EXPORT_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+  return { cursor };
+};
+
+const exportFilename = (extension) => `civicsync-reports-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+// @desc    Export filtered reports as GeoJSON, KML, CSV or XLSX
+// @route   GET /api/reports/export/:format
+// @access  Private/Admin or Department Officer
+exports.exportReports = async (req, res) => {
+  const format = FORMATS[req.params.format];
+  if (!format) {
+    return res.status(400).json({ success: false, message: `Unsupported export format '${req.params.format}'` });
+  }
+
+  const options = {};
+  if (format.tabular) {
+    const { columns, error } = parseColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    options.columns = columns;
+  }
+
+  const { cursor, error } = exportCursor(req);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  if (format.unmappedSection) {
+    options.openUnmappedCursor = () => exportCursor(req, UNMAPPED_FILTER).cursor;
+  }
+
+  try {
+    res.status(200);
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(format.extension)}"`);
+    await format.stream(cursor, res, options);
+  } catch (error) {
+    console.error('❌ Report export failed:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Server Error' });
+    }
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
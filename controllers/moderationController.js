@@ -0,0 +1,204 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const ModerationTerm = require('../models/ModerationTerm');
+const { DEFAULT_TERMS, clearTermCache, setModerationStatus } = require('../services/moderation');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const QUEUES = {
+  pending: { moderationStatus: 'pending' },
+  flagged: { moderationStatus: 'approved', flagCount: { $gt: 0 } },
+  hidden: { moderationStatus: 'hidden' }
+};
+
+// Load a comment for a moderation action
+const findComment = async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  if (!comment) {
+    res.status(404).json({ success: false, message: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+// @desc    Comments awaiting moderation
+// @route   GET /api/moderation/queue?status=pending|flagged|hidden
+// @access  Private/Admin
+exports.getQueue = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!QUEUES[status]) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${Object.keys(QUEUES).join(', ')}` });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+    const filter = { ...QUEUES[status], isDeleted: false };
+
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(filter),
+      Comment.find(filter)
+        .sort({ flagCount: -1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username email isBanned')
+        .populate('report', 'title category')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        nextPage: page * limit < total ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null
+      },
+      data: comments
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Approve a held or flagged comment
+// @route   PUT /api/moderation/comments/:id/approve
+// @access  Private/Admin
+exports.approveComment = async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+
+    // A reviewed comment starts with a clean slate
+    comment.flags = [];
+    comment.flagCount = 0;
+    await setModerationStatus(comment, 'approved', req.user.id);
+    res.status(200).json({ success: true, data: comment });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Hide a comment from public view
+// @route   PUT /api/moderation/comments/:id/hide
+// @access  Private/Admin
+exports.hideComment = async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+
+    await setModerationStatus(comment, 'hidden', req.user.id);
+    res.status(200).json({ success: true, data: comment });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Hide a comment and ban its author from commenting
+// @route   PUT /api/moderation/comments/:id/ban
+// @access  Private/Admin
+exports.banAuthor = async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) return;
+
+    const author = await User.findById(comment.user);
+    if (!author) {
+      return res.status(404).json({ success: false, message: 'Comment author not found' });
+    }
+    if (author.role === 'admin') {
+      return res.status(400).json({ success: false, message: 'Admins cannot be banned' });
+    }
+
+    author.isBanned = true;
+    author.bannedAt = new Date();
+    author.banReason = (req.body.reason || 'Abusive comments').slice(0, 200);
+    await author.save();
+
+    // Optionally take down everything else the author has posted
+    const others = req.body.hideAll
+      ? await Comment.find({ user: author._id, moderationStatus: { $ne: 'hidden' } })
+      : [comment];
+    for (const c of others) {
+      await setModerationStatus(c, 'hidden', req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User banned and ${others.length} comment(s) hidden`,
+      data: { userId: author._id, hidden: others.length }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Lift a comment ban
+// @route   PUT /api/moderation/users/:id/unban
+// @access  Private/Admin
+exports.unbanUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isBanned: false, $unset: { bannedAt: 1, banReason: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    List the built-in word list and admin additions/exemptions
+// @route   GET /api/moderation/terms
+// @access  Private/Admin
+exports.getTerms = async (req, res) => {
+  try {
+    const custom = await ModerationTerm.find().sort({ term: 1 });
+    res.status(200).json({ success: true, data: { defaults: DEFAULT_TERMS, custom } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Add a blocked term, or exempt a built-in one with action 'allow'
+// @route   POST /api/moderation/terms
+// @access  Private/Admin
+exports.addTerm = async (req, res) => {
+  try {
+    const { term, category, action } = req.body;
+    if (!term || !term.trim()) {
+      return res.status(400).json({ success: false, message: 'Term is required' });
+    }
+
+    const created = await ModerationTerm.create({ term, category, action, addedBy: req.user.id });
+    clearTermCache();
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    const message = error.code === 11000 ? 'That term is already configured' : error.message;
+    res.status(400).json({ success: false, message });
+  }
+};
+
+// @desc    Remove an admin-configured term
+// @route   DELETE /api/moderation/terms/:id
+// @access  Private/Admin
+exports.deleteTerm = async (req, res) => {
+  try {
+    const term = await ModerationTerm.findByIdAndDelete(req.params.id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+    clearTermCache();
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications?unread=true&page=1&limit=20
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const [total, unread, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user.id, read: false }),
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('report', 'title category status')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unread,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        nextPage: page * limit < total ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null
+      },
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Number of unread notifications for the badge
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, read: false });
+    res.status(200).json({ success: true, data: { count } });
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({ success: true, data: notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
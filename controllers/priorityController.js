@@ -0,0 +1,137 @@
+const SensitivePlace = require('../models/SensitivePlace');
+const {
+  FACTOR_WEIGHTS,
+  CATEGORY_RISK,
+  startUrgencySweep,
+  refreshUrgencyNear
+} = require('../services/priorityEngine');
+
+// Fields admins may set on a sensitive place; the point comes in as latitude/longitude
+const pickPlaceFields = (body) => {
+  const fields = {};
+  ['name', 'kind', 'radiusMeters'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const lat = parseFloat(body.latitude);
+    const lng = parseFloat(body.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { error: 'Valid latitude and longitude are required' };
+    }
+    fields.location = { type: 'Point', coordinates: [lng, lat] };
+  }
+  return { fields };
+};
+
+const handleWriteError = (res, error) => {
+  let message = error.message;
+  if (error.name === 'ValidationError') {
+    message = Object.values(error.errors).map(val => val.message).join(', ');
+  }
+  res.status(400).json({ success: false, message });
+};
+
+// Scores near a place change when it is added, moved or removed
+const rescoreAround = (place) => {
+  refreshUrgencyNear(place).catch(error => console.error('❌ Urgency refresh failed:', error.message));
+};
+
+// @desc    Urgency factor weights and category risk table
+// @route   GET /api/priority/weights
+// @access  Private/Admin
+exports.getWeights = (req, res) => {
+  res.status(200).json({ success: true, data: { factors: FACTOR_WEIGHTS, categories: CATEGORY_RISK } });
+};
+
+// @desc    List sensitive places
+// @route   GET /api/priority/places?kind=school
+// @access  Private/Admin
+exports.getPlaces = async (req, res) => {
+  try {
+    const filter = req.query.kind ? { kind: req.query.kind } : {};
+    const places = await SensitivePlace.find(filter).sort({ name: 1 });
+    res.status(200).json({ success: true, count: places.length, data: places });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Add a sensitive place
+// @route   POST /api/priority/places
+// @access  Private/Admin
+exports.createPlace = async (req, res) => {
+  const { fields, error } = pickPlaceFields(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  if (!fields.location) {
+    return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+  }
+
+  try {
+    const place = await SensitivePlace.create({ ...fields, createdBy: req.user.id });
+    rescoreAround(place);
+    res.status(201).json({ success: true, data: place });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Update a sensitive place
+// @route   PUT /api/priority/places/:id
+// @access  Private/Admin
+exports.updatePlace = async (req, res) => {
+  const { fields, error } = pickPlaceFields(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const previous = await SensitivePlace.findById(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ success: false, message: 'Sensitive place not found' });
+    }
+
+    const place = await SensitivePlace.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    rescoreAround(previous);
+    if (fields.location) rescoreAround(place);
+
+    res.status(200).json({ success: true, data: place });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Remove a sensitive place
+// @route   DELETE /api/priority/places/:id
+// @access  Private/Admin
+exports.deletePlace = async (req, res) => {
+  try {
+    const place = await SensitivePlace.findByIdAndDelete(req.params.id);
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Sensitive place not found' });
+    }
+    rescoreAround(place);
+    res.status(200).json({ success: true, message: 'Sensitive place removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Recompute urgency scores for every open report
+// @route   POST /api/priority/recompute
+// @access  Private/Admin
+exports.recomputeScores = async (req, res) => {
+  try {
+    // A full sweep can take minutes on a large city, so it runs in the background
+    const started = startUrgencySweep();
+    res.status(202).json({
+      success: true,
+      message: started ? 'Urgency recompute started' : 'An urgency recompute is already running'
+    });
+  } catch (error) {
+    console.error('Urgency recompute error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
@@ -1,10 +1,25 @@
 const Report = require('../models/Report');
+const Upvote = require('../models/Upvote');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
 const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const streamifier = require('streamifier');
 const { detectDuplicates } = require('../ai/duplicateDetector');
 const { analyzeImage, computePerceptualHash } = require('../ai/imageAnalyzer');
 const { matchImageWithDescription } = require('../ai/imageDescriptionMatcher');
+const { OPEN_STATUSES, validateTransition } = require('../services/workflow');
+const { computeDueDate, applySlaTransition, SLA_ACTIVE_STATUSES } = require('../services/sla');
+const { findDepartmentFor, resolveDepartment } = require('../services/departmentRouting');
+const { mergeReports, resolveLinkedDuplicates } = require('../services/reportMerge');
+const { buildReportFilter, parseReportQuery, paginateReports } = require('../services/reportQuery');
+const reportSearch = require('../services/reportSearch');
+const { radiusFilter, boundingBoxFilter, polygonFilter } = require('../services/geoQuery');
+const { MIN_ZOOM, MAX_ZOOM, clusterReports } = require('../services/geoAggregation');
+const { resolveWard } = require('../services/zoneLookup');
+const { runBulkAction } = require('../services/bulkOperations');
+const { EVENTS, emitEvent } = require('../services/events');
+const { addClient } = require('../services/realtime');
 
 // Configure Cloudinary with environment variables
 cloudinary.config({
@@ -129,7 +144,7 @@ exports.createReport = [
         severity: req.body.severity
       });
 
-      const { title, category, address, description, latitude, longitude, severity } = req.body;
+      const { title, category, address, description, latitude, longitude, severity, ward } = req.body;
       const reportData = {
         user: req.user.id,
         title: title || category,
@@ -137,11 +152,15 @@ exports.createReport = [
         address,
         description,
         status: 'pending',
-        priority: 'medium'
+        priority: 'medium',
+        statusHistory: [{ actor: req.user.id, from: null, to: 'pending', note: 'Report submitted' }]
       };
 
       if (severity) {
-        const severityLevel = parseInt(severity);
+        const severityLevel = Number(severity);
+        if (!Number.isInteger(severityLevel) || severityLevel < 1 || severityLevel > 5) {
+          return res.status(400).json({ success: false, message: 'Severity must be a whole number from 1 to 5' });
+        }
         reportData.severity = severityLevel;
         if (severityLevel >= 4) reportData.priority = 'high';
         else if (severityLevel <= 2) reportData.priority = 'low';
@@ -151,6 +170,7 @@ exports.createReport = [
         reportData.imageUrl = req.body.imageUrl;
       }
 
+      reportData.dueAt = await computeDueDate(category, reportData.priority);
 
       if (latitude && longitude) {
         reportData.location = {
@@ -159,6 +179,18 @@ exports.createReport = [
         };
       }
 
+      // Tag the ward by point-in-polygon, falling back to the ward the client sent
+      const wardName = await resolveWard(reportData.location?.coordinates, ward);
+      if (wardName) reportData.ward = wardName;
+
+      // Auto-route to the department that handles this category (and ward)
+      const department = await findDepartmentFor({ category, ward: reportData.ward });
+      if (department) {
+        reportData.department = department._id;
+        reportData.assignedDepartment = department.name;
+      }
+
+
       // --- AI Analysis Pipeline ---
       let aiAnalysis = null;
       try {
@@ -261,6 +293,15 @@ exports.createReport = [
       }
 
       const report = await Report.create(reportData);
+
+      emitEvent(EVENTS.REPORT_CREATED, { report });
+      if (report.department) {
+        emitEvent(EVENTS.ASSIGNED, { report, department: report.assignedDepartment, actorId: null });
+      }
+      if (report.aiFlags?.isFlagged) {
+        emitEvent(EVENTS.FLAGGED, { report });
+      }
+
       res.status(201).json({
         success: true,
         message: reportData.aiFlags?.isFlagged
@@ -283,20 +324,26 @@ exports.createReport = [
   }
 ];
 
-// @desc    Get all reports (Admin only)
+// @desc    Get reports, filtered, sorted and paginated (see services/reportQuery.js)
 // @route   GET /api/reports
-// @access  Private/Admin
+// @access  Public (department staff are limited to their scope)
 exports.getReports = async (req, res, next) => {
   try {
-    const reports = await Report.find()
-      .populate('user', 'email phone')
-      .populate('comments.user', 'username email profilePhoto')
-      .sort({ createdAt: -1 });
+    const parsed = parseReportQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    parsed.filter = { ...parsed.filter, ...req.reportScope };
+
+    const { data, pagination } = await paginateReports(Report, parsed, query => query
+      .populate('user', 'email phone'));
 
     res.status(200).json({
       success: true,
-      count: reports.length,
-      data: reports
+      count: data.length,
+      total: pagination.total,
+      pagination,
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -306,18 +353,61 @@ exports.getReports = async (req, res, next) => {
   }
 };
 
+// @desc    Search reports by keyword, ranked by relevance with highlighted snippets
+// @route   GET /api/reports/search?q=
+// @access  Public (department staff are limited to their scope)
+exports.searchReports = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ success: false, message: 'Search query (q) is required' });
+    }
+
+    const parsed = parseReportQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    const { data, pagination, terms } = await reportSearch.searchReports(
+      q,
+      { ...parsed.filter, ...req.reportScope },
+      parsed
+    );
+
+    res.status(200).json({
+      success: true,
+      query: q,
+      terms,
+      count: data.length,
+      total: pagination.total,
+      pagination,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error searching reports:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
 // @desc    Get reports for logged-in user
 // @route   GET /api/reports/my-reports
 // @access  Private
 exports.getUserReports = async (req, res, next) => {
   try {
-    const reports = await Report.find({ user: req.user.id })
-      .sort({ createdAt: -1 });
+    const parsed = parseReportQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    parsed.filter = { ...parsed.filter, user: req.user._id };
+
+    const { data, pagination } = await paginateReports(Report, parsed);
 
     res.status(200).json({
       success: true,
-      count: reports.length,
-      data: reports
+      count: data.length,
+      total: pagination.total,
+      pagination,
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -334,34 +424,122 @@ exports.getUserReports = async (req, res, next) => {
 // @access  Private
 exports.upvoteReport = async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id);
+    const report = await Report.findById(req.params.id).select('_id');
 
     if (!report) {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
 
-    // Check if the user has already upvoted this report
-    const upvotedIndex = report.upvotes.findIndex(
-      (userId) => userId.toString() === req.user.id
+    // Removing an existing upvote toggles it off; otherwise record a new one
+    const removed = await Upvote.deleteOne({ report: report._id, user: req.user._id });
+    const upvoted = !removed.deletedCount;
+    let change = upvoted ? 1 : -1;
+    if (upvoted) {
+      try {
+        await Upvote.create({ report: report._id, user: req.user._id });
+      } catch (error) {
+        // A concurrent request already recorded this upvote
+        if (error.code !== 11000) throw error;
+        change = 0;
+      }
+    }
+
+    const updated = await Report.findByIdAndUpdate(
+      report._id,
+      { $inc: { upvoteCount: change } },
+      { new: true }
     );
 
-    if (upvotedIndex > -1) {
-      // User has already upvoted, so remove the upvote (un-upvote)
-      report.upvotes.splice(upvotedIndex, 1);
-    } else {
-      // User has not upvoted, so add the upvote
-      report.upvotes.push(req.user.id);
+    emitEvent(EVENTS.UPVOTED, { report: updated, upvoted, actorId: req.user.id });
+
+    res.status(200).json({ success: true, data: { ...updated.toObject(), hasUpvoted: upvoted } });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Follow a report to get its status and official-comment updates
+// @route   POST /api/reports/:id/follow
+// @access  Private
+exports.followReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('user followerCount');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    if (report.user.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You already get updates for your own reports' });
     }
 
-    await report.save();
+    // The followers condition keeps the count right under concurrent requests
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, followers: { $ne: req.user._id } },
+      { $addToSet: { followers: req.user._id }, $inc: { followerCount: 1 } },
+      { new: true }
+    ).select('followerCount');
 
-    res.status(200).json({ success: true, data: report });
+    res.status(200).json({
+      success: true,
+      data: { following: true, followerCount: (updated || report).followerCount }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Stop following a report
+// @route   DELETE /api/reports/:id/follow
+// @access  Private
+exports.unfollowReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('followerCount');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, followers: req.user._id },
+      { $pull: { followers: req.user._id }, $inc: { followerCount: -1 } },
+      { new: true }
+    ).select('followerCount');
+
+    res.status(200).json({
+      success: true,
+      data: { following: false, followerCount: (updated || report).followerCount }
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
 
+// @desc    Get reports the logged-in user follows
+// @route   GET /api/reports/following
+// @access  Private
+exports.getFollowedReports = async (req, res) => {
+  try {
+    const parsed = parseReportQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    parsed.filter = { ...parsed.filter, followers: req.user._id };
+
+    const { data, pagination } = await paginateReports(Report, parsed);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: pagination.total,
+      pagination,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
 // Add this new function to your existing reportController.js file
 
 // @desc    Assign a department to a report
@@ -375,9 +553,18 @@ exports.assignDepartment = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Department is required' });
     }
 
+    let update = { assignedDepartment: 'Unassigned', $unset: { department: 1 } };
+    if (department !== 'Unassigned') {
+      const found = await resolveDepartment(department);
+      if (!found || !found.isActive) {
+        return res.status(400).json({ success: false, message: `Department '${department}' does not exist` });
+      }
+      update = { assignedDepartment: found.name, department: found._id };
+    }
+
     const report = await Report.findByIdAndUpdate(
       req.params.id,
-      { assignedDepartment: department },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -385,6 +572,8 @@ exports.assignDepartment = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
 
+    emitEvent(EVENTS.ASSIGNED, { report, department: report.assignedDepartment, actorId: req.user.id });
+
     res.status(200).json({ success: true, data: report });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server Error' });
@@ -397,14 +586,47 @@ exports.assignDepartment = async (req, res) => {
 // @route   GET /api/reports/:id
 // @access  Public
 exports.getReport = async (req, res, next) => {
+  try {
+    const report = await Report.findOne({ _id: req.params.id, ...req.reportScope })
+      .populate('user', 'email phone username profilePhoto');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+
+    const [isFollowing, hasUpvoted] = req.user
+      ? await Promise.all([
+        Report.exists({ _id: report._id, followers: req.user._id }).then(Boolean),
+        Upvote.exists({ report: report._id, user: req.user._id }).then(Boolean)
+      ])
+      : [false, false];
+
+    res.status(200).json({ success: true, data: { ...report.toObject(), isFollowing, hasUpvoted } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get the status timeline of a report
+// @route   GET /api/reports/:id/timeline
+// @access  Public
+exports.getReportTimeline = async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
-      .populate('user', 'email phone username profilePhoto')
-      .populate('comments.user', 'username email profilePhoto');
+      .select('title status createdAt statusHistory')
+      .populate('statusHistory.actor', 'username role');
     if (!report) {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
-    res.status(200).json({ success: true, data: report });
+    res.status(200).json({
+      success: true,
+      data: {
+        reportId: report._id,
+        title: report.title,
+        currentStatus: report.status,
+        createdAt: report.createdAt,
+        timeline: report.statusHistory
+      }
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
@@ -431,25 +653,64 @@ const uploadAfterImageToCloudinary = (req, res, next) => {
   streamifier.createReadStream(req.file.buffer).pipe(stream);
 };
 
-// @desc    Update report status (Admin only)
+// Load the report named in the URL, limited to what the user's role may see
+const loadScopedReport = async (req, res, next) => {
+  try {
+    const report = await Report.findOne({ _id: req.params.id, ...req.reportScope });
+    if (!report) return res.status(404).json({ success: false, message: 'Report not found' });
+    req.report = report;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Update report status (Admin, department officer or assigned field worker)
 // @route   PUT /api/reports/:id
-// @access  Private/Admin
+// @access  Private/Staff
 exports.updateReportStatus = [
+  loadScopedReport,
   upload.single('afterImage'),
   uploadAfterImageToCloudinary,
   async (req, res, next) => {
     try {
-      let report = await Report.findById(req.params.id);
-      if (!report) return res.status(404).json({ success: false, message: 'Report not found' });
+      let report = req.report;
+
+      const { status, reason, duplicateOf, afterImageUrl } = req.body;
+
+      if (status && status !== report.status) {
+        const check = validateTransition(report, status, req.user.role, { reason, duplicateOf, afterImageUrl });
+        if (!check.ok) {
+          return res.status(check.status).json({
+            success: false,
+            message: check.message,
+            allowedTransitions: check.allowed
+          });
+        }
 
-      if (req.body.status === 'resolved' && !req.body.afterImageUrl && !report.afterImageUrl) {
-        return res.status(400).json({ success: false, message: 'After image required to resolve.' });
+        if (status === 'duplicate') {
+          const canonical = await Report.findById(duplicateOf).select('_id');
+          if (!canonical) {
+            return res.status(404).json({ success: false, message: 'Canonical report not found' });
+          }
+          report.duplicateOf = canonical._id;
+          await Report.updateOne({ _id: canonical._id }, { $addToSet: { mergedReports: report._id } });
+        }
+        if (status === 'rejected') {
+          report.rejectionReason = reason.trim();
+        }
+        await applySlaTransition(report, status);
+        report.recordStatusChange(status, req.user.id, req.body.note || reason);
       }
-      if (req.body.afterImageUrl) {
-        report.afterImageUrl = req.body.afterImageUrl;
+
+      if (afterImageUrl) {
+        report.afterImageUrl = afterImageUrl;
       }
-      if (req.body.status) report.status = req.body.status;
       await report.save();
+
+      if (status === 'resolved') {
+        await resolveLinkedDuplicates(report, req.user);
+      }
       report = await Report.findById(report._id).populate('user', 'email phone');
       res.status(200).json({ success: true, data: report });
     } catch (error) {
@@ -458,6 +719,173 @@ exports.updateReportStatus = [
   }
 ];
 
+// @desc    Assign a report to a field worker (or unassign with an empty workerId)
+// @route   PUT /api/reports/:id/assign-worker
+// @access  Private/Admin or Department Officer
+exports.assignFieldWorker = [
+  loadScopedReport,
+  async (req, res) => {
+    try {
+      const report = req.report;
+      const { workerId } = req.body;
+
+      if (!workerId) {
+        report.assignedTo = undefined;
+        await report.save();
+        return res.status(200).json({ success: true, data: report });
+      }
+
+      const worker = await User.findById(workerId);
+      if (!worker || worker.role !== 'field_worker') {
+        return res.status(400).json({ success: false, message: 'Assignee must be a field worker' });
+      }
+      if (report.department && worker.department?.toString() !== report.department.toString()) {
+        return res.status(400).json({ success: false, message: 'Field worker does not belong to the report\'s department' });
+      }
+
+      report.assignedTo = worker._id;
+      await report.save();
+      res.status(200).json({ success: true, data: report });
+    } catch (error) {
+      res.status(500).json({ success: false, message: 'Server Error' });
+    }
+  }
+];
+
+// @desc    Merge duplicate reports into this (canonical) report
+// @route   POST /api/reports/:id/merge
+// @access  Private/Admin
+exports.mergeDuplicates = async (req, res) => {
+  try {
+    const { duplicateIds } = req.body;
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'duplicateIds must be a non-empty array' });
+    }
+
+    const canonical = await Report.findById(req.params.id);
+    if (!canonical) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    if (canonical.status === 'duplicate') {
+      return res.status(409).json({ success: false, message: 'Cannot merge into a report that is itself a duplicate' });
+    }
+
+    const { results } = await mergeReports(canonical, duplicateIds, req.user);
+    const merged = results.filter(r => r.success).length;
+
+    const updated = await Report.findById(canonical._id)
+      .populate('user', 'email phone');
+
+    res.status(merged > 0 ? 200 : 400).json({
+      success: merged > 0,
+      message: `Merged ${merged} of ${results.length} report(s)`,
+      data: updated,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Error merging reports:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// Maximum number of times a citizen can reopen the same report
+const MAX_REOPENS = parseInt(process.env.MAX_REPORT_REOPENS) || 3;
+
+// @desc    Reopen a resolved report with fresh photo evidence (Owner only)
+// @route   POST /api/reports/:id/reopen
+// @access  Private
+exports.reopenReport = [
+  upload.single('photo'),
+  async (req, res, next) => {
+    try {
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        return res.status(404).json({ success: false, message: 'Report not found' });
+      }
+      if (report.user.toString() !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'User not authorized to reopen this report' });
+      }
+
+      const { reason } = req.body;
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({ success: false, message: 'A reason is required to reopen a report' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'A fresh photo is required to reopen a report' });
+      }
+      if (report.reopenCount >= MAX_REOPENS) {
+        return res.status(409).json({
+          success: false,
+          message: `This report has already been reopened ${report.reopenCount} times, the maximum allowed`
+        });
+      }
+
+      const check = validateTransition(report, 'reopened', 'user');
+      if (!check.ok) {
+        return res.status(check.status).json({ success: false, message: check.message });
+      }
+
+      req.report = report;
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: 'Server Error' });
+    }
+  },
+  uploadToCloudinary,
+  async (req, res) => {
+    try {
+      const report = req.report;
+      const { reason } = req.body;
+
+      // Run the fresh photo through the same metadata checks as a new report
+      const flagReasons = [];
+      let imgAnalysis = null;
+      try {
+        imgAnalysis = await analyzeImage(req.file.buffer, report.location?.coordinates || null);
+      } catch (aiError) {
+        console.error('⚠️ AI analysis error (non-blocking):', aiError.message);
+      }
+      if (imgAnalysis?.locationVerification?.match === false) {
+        flagReasons.push('Reopen photo GPS location does not match the reported location');
+      }
+      if (imgAnalysis?.imageStats?.isBlank) {
+        flagReasons.push('Reopen photo appears to be blank');
+      }
+
+      report.reopenRequests.push({
+        user: req.user.id,
+        reason: reason.trim(),
+        imageUrl: req.body.imageUrl,
+        previousAfterImageUrl: report.afterImageUrl,
+        imageTrust: imgAnalysis?.overallTrust || 'unknown',
+        locationVerified: imgAnalysis?.locationVerification?.match === true,
+        flagReasons
+      });
+      report.reopenCount += 1;
+
+      // The old proof no longer stands; a new after image is needed to resolve again
+      report.afterImageUrl = undefined;
+
+      await applySlaTransition(report, 'reopened');
+      report.recordStatusChange('reopened', req.user.id, reason.trim());
+      await report.save();
+
+      res.status(200).json({
+        success: true,
+        message: flagReasons.length
+          ? 'Report reopened but the new photo was flagged for review by AI'
+          : 'Report reopened successfully',
+        data: report,
+        reopensRemaining: MAX_REOPENS - report.reopenCount,
+        flagReasons
+      });
+    } catch (error) {
+      console.error('❌ Report reopen failed:', error);
+      res.status(400).json({ success: false, message: error.message });
+    }
+  }
+];
+
 // @desc    Replace a user's report image
 // @route   PUT /api/reports/:id/image
 // @access  Private
@@ -586,6 +1014,10 @@ exports.deleteReport = async (req, res, next) => {
     await deleteFromCloudinary(report.afterImageUrl);
 
     await report.deleteOne();
+    await Promise.all([
+      Comment.deleteMany({ report: report._id }),
+      Upvote.deleteMany({ report: report._id })
+    ]);
 
     res.status(200).json({
       success: true,
@@ -601,29 +1033,133 @@ exports.deleteReport = async (req, res, next) => {
   }
 };
 
-// @desc    Get report statistics (Admin only)
-// @route   GET /api/reports/stats
+// @desc    Get report statistics (Admin only), optionally for one ward
+// @route   GET /api/reports/stats?ward=
 // @access  Private/Admin
 exports.getReportStats = async (req, res, next) => {
   try {
-    const [total, pending, inProgress, resolved] = await Promise.all([
-      Report.countDocuments(),
-      Report.countDocuments({ status: 'pending' }),
-      Report.countDocuments({ status: 'in-progress' }),
-      Report.countDocuments({ status: 'resolved' })
+    const base = req.query.ward ? { ward: req.query.ward } : {};
+    const count = (filter = {}) => Report.countDocuments({ ...base, ...filter });
+
+    const [total, pending, inProgress, resolved, onHold, rejected, duplicate, reopened, overdue, byWard] = await Promise.all([
+      count(),
+      count({ status: 'pending' }),
+      count({ status: 'in-progress' }),
+      count({ status: 'resolved' }),
+      count({ status: 'on-hold' }),
+      count({ status: 'rejected' }),
+      count({ status: 'duplicate' }),
+      count({ status: 'reopened' }),
+      count({ status: { $in: SLA_ACTIVE_STATUSES }, isOverdue: true }),
+      Report.aggregate([
+        { $match: base },
+        {
+          $group: {
+            _id: { $ifNull: ['$ward', 'Unzoned'] },
+            total: { $sum: 1 },
+            open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+            overdue: {
+              $sum: { $cond: [{ $and: [{ $in: ['$status', SLA_ACTIVE_STATUSES] }, { $eq: ['$isOverdue', true] }] }, 1, 0] }
+            }
+          }
+        },
+        { $project: { _id: 0, ward: '$_id', total: 1, open: 1, resolved: 1, overdue: 1 } },
+        { $sort: { total: -1 } }
+      ])
     ]);
-    res.status(200).json({ success: true, data: { total, pending, inProgress, resolved } });
+    res.status(200).json({
+      success: true,
+      data: { total, pending, inProgress, resolved, onHold, rejected, duplicate, reopened, overdue, byWard }
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
-// ... (keep getNearbyReports and bulkUpdateReports as they are)
-// @desc    Get reports by location (within radius)
+// Largest page a map view may request in one go
+const MAP_PAGE_LIMIT = 500;
+
+// Radius used by the trending feed when only a point is given
+const DEFAULT_TRENDING_RADIUS_KM = 5;
+
+// Run a geospatial query combined with the standard listing filters
+const listReportsWithin = async (req, res, geo, defaults = {}) => {
+  if (geo.error) {
+    return res.status(400).json({ success: false, message: geo.error });
+  }
+
+  const parsed = parseReportQuery({ ...defaults, ...req.query }, { maxLimit: MAP_PAGE_LIMIT });
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+  parsed.filter = { ...parsed.filter, ...geo.filter, ...req.reportScope };
+
+  const { data, pagination } = await paginateReports(Report, parsed, query => query
+    .populate('user', 'username'));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    total: pagination.total,
+    pagination,
+    data
+  });
+};
+
+// @desc    Open reports ordered by urgency score, for the staff work queue
+// @route   GET /api/reports/queue
+// @access  Private/Admin, Department Officer
+exports.getWorkQueue = async (req, res) => {
+  try {
+    const parsed = parseReportQuery({ status: OPEN_STATUSES.join(','), sort: 'urgency', ...req.query });
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    parsed.filter = { ...parsed.filter, ...req.reportScope };
+
+    const { data, pagination } = await paginateReports(Report, parsed, query => query
+      .populate('user', 'username')
+      .populate('assignedTo', 'username'));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: pagination.total,
+      pagination,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching work queue:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Hot-ranked open reports, optionally near a point or in a ward
+// @route   GET /api/reports/trending?latitude=&longitude=&radius=&ward=
+// @access  Public
+exports.getTrendingReports = async (req, res) => {
+  try {
+    const { latitude, longitude, radius } = req.query;
+    const nearby = latitude !== undefined || longitude !== undefined || radius !== undefined;
+    const geo = nearby ? radiusFilter(latitude, longitude, radius || DEFAULT_TRENDING_RADIUS_KM) : { filter: {} };
+
+    await listReportsWithin(req, res, geo, {
+      status: OPEN_STATUSES.join(','),
+      sort: 'hot'
+    });
+  } catch (error) {
+    console.error('❌ Error fetching trending reports:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get reports within a radius (km) of a point
+// @route   GET /api/reports/nearby?latitude=&longitude=&radius=
 // @route   GET /api/reports/nearby/:latitude/:longitude/:radius
 // @access  Public
 exports.getNearbyReports = async (req, res, next) => {
   try {
-    const { latitude, longitude, radius } = req.params;
+    const { latitude, longitude, radius } = { ...req.query, ...req.params };
 
     console.log('📍 Finding reports near:', {
       lat: parseFloat(latitude),
@@ -631,25 +1167,9 @@ exports.getNearbyReports = async (req, res, next) => {
       radius: `${radius}km`
     });
 
-    const reports = await Report.find({
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(longitude), parseFloat(latitude)]
-          },
-          $maxDistance: parseFloat(radius) * 1000 // Convert km to meters
-        }
-      },
-      status: { $ne: 'resolved' } // Exclude resolved issues
-    }).populate('user', 'email');
-
-    console.log('📊 Nearby reports found:', reports.length);
-
-    res.status(200).json({
-      success: true,
-      count: reports.length,
-      data: reports
+    // Unresolved issues only, unless a status filter is given
+    await listReportsWithin(req, res, radiusFilter(latitude, longitude, radius), {
+      status: OPEN_STATUSES.join(',')
     });
   } catch (error) {
     console.error('❌ Error finding nearby reports:', error);
@@ -660,77 +1180,115 @@ exports.getNearbyReports = async (req, res, next) => {
   }
 };
 
-// @desc    Bulk update report statuses (Admin only)
+// @desc    Get reports inside a map viewport
+// @route   GET /api/reports/within/bbox?bbox=minLng,minLat,maxLng,maxLat
+// @access  Public
+exports.getReportsInBoundingBox = async (req, res) => {
+  try {
+    await listReportsWithin(req, res, boundingBoxFilter(req.query.bbox));
+  } catch (error) {
+    console.error('❌ Error finding reports in bounding box:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get reports inside a GeoJSON polygon (sent as the request body)
+// @route   POST /api/reports/within/polygon
+// @access  Public
+exports.getReportsInPolygon = async (req, res) => {
+  try {
+    await listReportsWithin(req, res, polygonFilter(req.body.geometry || req.body));
+  } catch (error) {
+    console.error('❌ Error finding reports in polygon:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Aggregate reports in a map viewport into grid-cell clusters for a zoom level
+// @route   GET /api/reports/clusters?bbox=minLng,minLat,maxLng,maxLat&zoom=
+// @access  Public
+exports.getReportClusters = async (req, res) => {
+  try {
+    const zoom = parseInt(req.query.zoom);
+    if (!Number.isInteger(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+      return res.status(400).json({ success: false, message: `zoom must be an integer between ${MIN_ZOOM} and ${MAX_ZOOM}` });
+    }
+
+    const geo = boundingBoxFilter(req.query.bbox);
+    if (geo.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const { filter, error } = buildReportFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const data = await clusterReports({ ...filter, ...geo.filter, ...req.reportScope }, zoom);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error clustering reports:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Run an allowlisted action on many reports (Admin only)
 // @route   PUT /api/reports/bulk-update
 // @access  Private/Admin
+// @body    { action: 'status' | 'assign' | 'priority' | 'merge' | 'delete', reportIds: [], params: {} }
 exports.bulkUpdateReports = async (req, res, next) => {
   try {
-    const { reportIds, updateData } = req.body;
+    const { action, reportIds, params } = req.body;
 
     console.log('🔄 Bulk updating reports:', {
-      count: reportIds.length,
-      updateData
+      action,
+      count: Array.isArray(reportIds) ? reportIds.length : 0
     });
 
-    const result = await Report.updateMany(
-      { _id: { $in: reportIds } },
-      updateData,
-      { runValidators: true }
+    const outcome = await runBulkAction(
+      { action, reportIds, params },
+      req.user,
+      { deleteImage: deleteFromCloudinary }
     );
+    if (outcome.error) {
+      return res.status(400).json({ success: false, message: outcome.error });
+    }
 
     console.log('✅ Bulk update completed:', {
-      matched: result.matchedCount,
-      modified: result.modifiedCount
+      succeeded: outcome.succeeded,
+      failed: outcome.failed
     });
 
     res.status(200).json({
-      success: true,
-      message: `Updated ${result.modifiedCount} reports`,
+      success: outcome.succeeded > 0,
+      message: `Updated ${outcome.succeeded} of ${outcome.results.length} reports`,
       data: {
-        matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
+        succeeded: outcome.succeeded,
+        failed: outcome.failed,
+        auditId: outcome.auditId,
+        results: outcome.results
       }
     });
   } catch (error) {
     console.error('❌ Error in bulk update:', error);
-    res.status(400).json({
+    res.status(500).json({
       success: false,
-      message: error.message
+      message: 'Server Error'
     });
   }
 };
 
-// @desc    Add a comment to a report
-// @route   POST /api/reports/:id/comment
-// @access  Private
-exports.addComment = async (req, res) => {
-  try {
-    const { text } = req.body;
-    if (!text || !text.trim()) {
-      return res.status(400).json({ success: false, message: 'Comment text is required' });
-    }
-
-    const report = await Report.findById(req.params.id);
-    if (!report) {
-      return res.status(404).json({ success: false, message: 'Report not found' });
-    }
-
-    report.comments.push({
-      user: req.user.id,
-      text: text.trim(),
-      createdAt: new Date()
-    });
-
-    await report.save();
+// @desc    Real-time stream of report events (Server-Sent Events)
+// @route   GET /api/reports/stream?department=&ward=&token=
+// @access  Private (EventSource clients may pass the JWT as ?token=)
+exports.streamReports = (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Not authorized to access this route' });
+  }
 
-    // Re-fetch with populated comments
-    const updated = await Report.findById(report._id)
-      .populate('comments.user', 'username email profilePhoto')
-      .populate('user', 'email phone');
+  const filters = {};
+  if (req.query.department) filters.department = String(req.query.department);
+  if (req.query.ward) filters.ward = String(req.query.ward);
 
-    res.status(201).json({ success: true, data: updated });
-  } catch (error) {
-    console.error('❌ Error adding comment:', error);
-    res.status(500).json({ success: false, message: 'Server Error' });
-  }
-};  
\ No newline at end of file
+  addClient(req, res, filters);
+};
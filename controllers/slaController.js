@@ -0,0 +1,69 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const { DEFAULT_TARGET_HOURS, runSlaSweep } = require('../services/sla');
+
+// @desc    List configured SLA policies
+// @route   GET /api/sla
+// @access  Private/Admin
+exports.getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ category: 1, priority: 1 });
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      defaults: DEFAULT_TARGET_HOURS,
+      data: policies
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Create or update the SLA target for a category and priority
+// @route   PUT /api/sla
+// @access  Private/Admin
+exports.upsertSlaPolicy = async (req, res) => {
+  try {
+    const { category = '*', priority, targetHours } = req.body;
+
+    if (!priority || !targetHours) {
+      return res.status(400).json({ success: false, message: 'Priority and targetHours are required' });
+    }
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { category, priority },
+      { targetHours, updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete an SLA policy
+// @route   DELETE /api/sla/:id
+// @access  Private/Admin
+exports.deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'SLA policy not found' });
+    }
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Run the overdue/escalation sweep immediately
+// @route   POST /api/sla/sweep
+// @access  Private/Admin
+exports.runSweep = async (req, res) => {
+  try {
+    const escalated = await runSlaSweep();
+    res.status(200).json({ success: true, data: { escalated } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
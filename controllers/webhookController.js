@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../services/events');
+const { generateSecret, replayDelivery: replay } = require('../services/webhooks');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields admins may set on a webhook
+const pickWebhookFields = (body) => {
+  const fields = {};
+  ['name', 'url', 'events', 'isActive'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+const handleWriteError = (res, error) => {
+  let message = error.message;
+  if (error.name === 'ValidationError') {
+    message = Object.values(error.errors).map(val => val.message).join(', ');
+  }
+  res.status(400).json({ success: false, message });
+};
+
+// @desc    List webhooks and the events they can subscribe to
+// @route   GET /api/webhooks
+// @access  Private/Admin
+exports.getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.status(200).json({ success: true, count: webhooks.length, events: WEBHOOK_EVENTS, data: webhooks });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Register a webhook. The signing secret is only returned here and on rotation.
+// @route   POST /api/webhooks
+// @access  Private/Admin
+exports.createWebhook = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      ...pickWebhookFields(req.body),
+      secret,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: { ...webhook.toObject(), secret } });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Update a webhook's name, URL, events or active flag
+// @route   PUT /api/webhooks/:id
+// @access  Private/Admin
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, pickWebhookFields(req.body), {
+      new: true,
+      runValidators: true
+    });
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.status(200).json({ success: true, data: webhook });
+  } catch (error) {
+    handleWriteError(res, error);
+  }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private/Admin
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    res.status(200).json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Issue a new signing secret
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private/Admin
+exports.rotateSecret = async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.status(200).json({ success: true, data: { ...webhook.toObject(), secret } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Delivery log, newest first
+// @route   GET /api/webhooks/deliveries?status=failed&webhook=<id>&event=report.created
+// @access  Private/Admin
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { status, webhook, event } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (webhook) {
+      if (!mongoose.Types.ObjectId.isValid(webhook)) {
+        return res.status(400).json({ success: false, message: 'Invalid webhook ID' });
+      }
+      filter.webhook = webhook;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_LIMIT));
+
+    const [total, deliveries] = await Promise.all([
+      WebhookDelivery.countDocuments(filter),
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('webhook', 'name url')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        nextPage: page * limit < total ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null
+      },
+      data: deliveries
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get one delivery with every attempt
+// @route   GET /api/webhooks/deliveries/:id
+// @access  Private/Admin
+exports.getDelivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id).populate('webhook', 'name url');
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    res.status(200).json({ success: true, data: delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Send a failed delivery again
+// @route   POST /api/webhooks/deliveries/:id/replay
+// @access  Private/Admin
+exports.replayDelivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+    if (delivery.status !== 'failed') {
+      return res.status(409).json({ success: false, message: `Only failed deliveries can be replayed (this one is ${delivery.status})` });
+    }
+
+    await replay(delivery);
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed again and will be retried',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server Error' });
+  }
+};
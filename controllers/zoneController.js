@@ -0,0 +1,102 @@
+const multer = require('multer');
+const Zone = require('../models/Zone');
+const { importZones, retagReports } = require('../services/zoneLookup');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(geo)?json$/i.test(file.originalname) || file.mimetype.includes('json')) cb(null, true);
+    else cb(new Error('Only GeoJSON files are allowed'), false);
+  }
+});
+
+// @desc    List zones (geometry omitted unless ?geometry=true)
+// @route   GET /api/zones
+// @access  Public
+exports.getZones = async (req, res) => {
+  try {
+    const filter = req.query.kind ? { kind: req.query.kind } : {};
+    const query = Zone.find(filter).sort({ name: 1 });
+    if (req.query.geometry !== 'true') query.select('-geometry -properties');
+
+    const zones = await query;
+    res.status(200).json({ success: true, count: zones.length, data: zones });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Get a single zone with its boundary
+// @route   GET /api/zones/:id
+// @access  Public
+exports.getZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+    res.status(200).json({ success: true, data: zone });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Import ward polygons from a GeoJSON FeatureCollection (file upload or JSON body)
+// @route   POST /api/zones/import
+// @access  Private/Admin
+exports.importZoneFile = [
+  upload.single('file'),
+  async (req, res) => {
+    try {
+      let collection = req.body;
+      if (req.file) {
+        try {
+          collection = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (parseError) {
+          return res.status(400).json({ success: false, message: 'Uploaded file is not valid JSON' });
+        }
+      }
+
+      const { nameProperty, codeProperty, kind, retag } = req.query;
+      const { imported, errors } = await importZones(collection, { nameProperty, codeProperty, kind });
+      const retagged = retag === 'true' ? await retagReports() : null;
+
+      res.status(imported ? 200 : 400).json({
+        success: imported > 0,
+        message: `Imported ${imported} zone(s)${errors.length ? `, skipped ${errors.length}` : ''}`,
+        data: { imported, retagged, errors }
+      });
+    } catch (error) {
+      console.error('❌ Zone import failed:', error);
+      res.status(400).json({ success: false, message: error.message });
+    }
+  }
+];
+
+// @desc    Re-tag all located reports with their containing ward
+// @route   POST /api/zones/retag
+// @access  Private/Admin
+exports.retagAllReports = async (req, res) => {
+  try {
+    const retagged = await retagReports();
+    res.status(200).json({ success: true, data: { retagged } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Delete a zone
+// @route   DELETE /api/zones/:id
+// @access  Private/Admin
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Zone not found' });
+    }
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
@@ -41,3 +41,49 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// EventSource cannot set headers, so streaming routes also accept ?token=
+exports.acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Attach the user when a valid token is sent, but let anonymous requests through
+exports.identify = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const secret = process.env.JWT_SECRET || process.env.ACCESS_TOKEN_SECRET;
+    const decoded = jwt.verify(token, secret);
+    req.user = await User.findById(decoded.id);
+  } catch (err) {
+    // Invalid tokens are treated as anonymous on public routes
+  }
+  next();
+};
+
+// Mongo filter limiting which reports a user may see and act on.
+// Department officers see their department's reports; field workers see tasks assigned to them.
+const reportScopeFor = (user) => {
+  if (!user) return {};
+  switch (user.role) {
+    case 'department_officer':
+      return user.department ? { department: user.department } : { _id: null };
+    case 'field_worker':
+      return { assignedTo: user._id };
+    default:
+      return {};
+  }
+};
+
+exports.reportScopeFor = reportScopeFor;
+
+exports.scopeReports = (req, res, next) => {
+  req.reportScope = reportScopeFor(req.user);
+  next();
+};
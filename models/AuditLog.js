@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Record of an administrative action that touched one or more reports
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true },
+  params: mongoose.Schema.Types.Mixed,
+  reportIds: [{ type: mongoose.Schema.ObjectId, ref: 'Report' }],
+  results: [{
+    _id: false,
+    reportId: String,
+    success: Boolean,
+    message: String
+  }],
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ reportIds: 1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.ObjectId, ref: 'Report', required: true },
+  user: { type: mongoose.Schema.ObjectId, ref: 'User', required: true },
+  parent: { type: mongoose.Schema.ObjectId, ref: 'Comment', default: null }, // null for top-level comments
+  text: { type: String, required: true, maxlength: 500 },
+
+  // Responses posted by admins or department staff on behalf of the city
+  isOfficial: { type: Boolean, default: false },
+  isPinned: { type: Boolean, default: false },
+
+  replyCount: { type: Number, default: 0 },
+  editedAt: Date,
+  isDeleted: { type: Boolean, default: false }, // Soft delete keeps replies attached
+  mergedFrom: { type: mongoose.Schema.ObjectId, ref: 'Report' }, // Set when moved in from a merged duplicate
+
+  // Moderation: held comments are only visible to their author and admins
+  moderationStatus: { type: String, enum: ['approved', 'pending', 'hidden'], default: 'approved' },
+  moderationReasons: [String],
+  moderatedBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+  moderatedAt: Date,
+  flags: [{
+    _id: false,
+    user: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    reason: { type: String, maxlength: 200 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  flagCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+CommentSchema.index({ report: 1, parent: 1, isPinned: -1, createdAt: 1 });
+CommentSchema.index({ parent: 1, createdAt: 1 });
+CommentSchema.index({ moderationStatus: 1, flagCount: -1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const DepartmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a department name'],
+    unique: true,
+    trim: true
+  },
+  description: { type: String, maxlength: 500 },
+  contactEmail: {
+    type: String,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  contactPhone: String,
+  members: [{ type: mongoose.Schema.ObjectId, ref: 'User' }], // Mirrors User.department; kept in step by both controllers
+
+  // Routing rules: report categories this department handles, optionally limited to wards
+  categories: [{ type: String, trim: true }],
+  wards: [{ type: String, trim: true }],
+
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+DepartmentSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('Department', DepartmentSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Admin-managed additions to (or exemptions from) the built-in abuse word list
+const ModerationTermSchema = new mongoose.Schema({
+  term: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  category: { type: String, enum: ['profanity', 'abuse', 'threat'], default: 'abuse' },
+  action: { type: String, enum: ['block', 'allow'], default: 'block' }, // 'allow' exempts a built-in term
+  addedBy: { type: mongoose.Schema.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ModerationTerm', ModerationTermSchema);
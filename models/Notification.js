@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.ObjectId, ref: 'User', required: true }, // Recipient
+  type: {
+    type: String,
+    required: true,
+    enum: ['status_changed', 'official_comment', 'comment_reply', 'department_assigned', 'merged_duplicate', 'ai_flagged', 'sla_breached']
+  },
+  report: { type: mongoose.Schema.ObjectId, ref: 'Report' },
+  title: { type: String, required: true },
+  message: String,
+  data: mongoose.Schema.Types.Mixed,
+  read: { type: Boolean, default: false },
+  readAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { STATUSES, CLOSED_STATUSES } = require('../services/workflow');
+const { EVENTS, emitEvent } = require('../services/events');
 
 const ReportSchema = new mongoose.Schema({
   // ... all other fields remain the same (user, category, etc.)
@@ -7,10 +9,14 @@ const ReportSchema = new mongoose.Schema({
   title: String,
   description: { type: String, required: true, maxlength: 500 },
   imageUrl: String,
+  additionalImages: [String], // Photos folded in from merged duplicates
   afterImageUrl: String,
   location: { type: { type: String, enum: ['Point'] }, coordinates: { type: [Number], index: '2dsphere' } },
   address: { type: String, required: true },
-  status: { type: String, required: true, enum: ['pending', 'in-progress', 'resolved'], default: 'pending' },
+  status: { type: String, required: true, enum: STATUSES, default: 'pending' },
+  rejectionReason: { type: String, maxlength: 500 },
+  duplicateOf: { type: mongoose.Schema.ObjectId, ref: 'Report' }, // Canonical report once confirmed as duplicate
+  mergedReports: [{ type: mongoose.Schema.ObjectId, ref: 'Report' }], // Duplicates folded into this report
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
 
   // --- NEW FIELD ---
@@ -18,9 +24,26 @@ const ReportSchema = new mongoose.Schema({
     type: String,
     default: 'Unassigned'
   },
+  department: { type: mongoose.Schema.ObjectId, ref: 'Department' }, // assignedDepartment mirrors its name
+  assignedTo: { type: mongoose.Schema.ObjectId, ref: 'User' }, // Field worker handling the task
+  ward: String, // Name of the containing ward Zone, tagged on creation
 
   createdAt: { type: Date, default: Date.now },
   severity: Number,
+
+  // SLA tracking, maintained by services/sla.js
+  dueAt: Date,
+  isOverdue: { type: Boolean, default: false },
+  escalationLevel: { type: Number, default: 0 },
+  nextEscalationAt: Date,
+  escalations: [{
+    level: Number,
+    fromPriority: String,
+    priority: String,
+    department: String,
+    escalatedAt: { type: Date, default: Date.now }
+  }],
+
   imageHash: String, // Perceptual hash for AI duplicate image detection
 
   // AI verification flags
@@ -38,12 +61,108 @@ const ReportSchema = new mongoose.Schema({
     credibilityScore: Number          // 0-1 overall credibility
   },
 
-  comments: [{
+  // Comments live in their own collection (models/Comment.js)
+  commentCount: { type: Number, default: 0 },
+  // Upvotes live in their own collection (models/Upvote.js)
+  upvoteCount: { type: Number, default: 0 },
+  hotScore: { type: Number, default: 0 }, // Trending rank, maintained by services/trending.js
+
+  // Admin queue urgency (0-100) and its inputs, maintained by services/priorityEngine.js
+  urgencyScore: { type: Number, default: 0 },
+  urgencyFactors: {
+    severity: Number,
+    credibility: Number,
+    community: Number,
+    category: Number,
+    proximity: Number,
+    age: Number,
+    nearestPlace: mongoose.Schema.Types.Mixed
+  },
+  urgencyUpdatedAt: Date,
+  // Users other than the owner who get updates; only changed through atomic follow/unfollow updates
+  followers: { type: [{ type: mongoose.Schema.ObjectId, ref: 'User' }], select: false },
+  followerCount: { type: Number, default: 0 },
+
+  // Citizen requests to reopen a resolved report, with fresh photo evidence
+  reopenCount: { type: Number, default: 0 },
+  reopenRequests: [{
     user: { type: mongoose.Schema.ObjectId, ref: 'User' },
-    text: { type: String, required: true, maxlength: 500 },
-    createdAt: { type: Date, default: Date.now }
+    reason: { type: String, required: true, maxlength: 500 },
+    imageUrl: String,
+    previousAfterImageUrl: String,
+    imageTrust: String,
+    locationVerified: Boolean,
+    flagReasons: [String],
+    requestedAt: { type: Date, default: Date.now }
   }],
-  upvotes: [{ type: mongoose.Schema.ObjectId, ref: 'User' }]
+
+  // Set when the report last left the queue; cleared if it is reopened
+  resolvedAt: Date,
+  closedAt: Date,
+
+  // Ordered log of every status transition, oldest first
+  statusHistory: [{
+    actor: { type: mongoose.Schema.ObjectId, ref: 'User' },
+    from: String,
+    to: { type: String, required: true },
+    note: { type: String, maxlength: 500 },
+    changedAt: { type: Date, default: Date.now }
+  }]
 });
 
+// Move the report to a new status and append the transition to its history
+ReportSchema.methods.recordStatusChange = function (status, actor, note) {
+  const changedAt = new Date();
+  this.statusHistory.push({
+    actor,
+    from: this.isNew ? null : this.status,
+    to: status,
+    note,
+    changedAt
+  });
+  this.status = status;
+
+  if (CLOSED_STATUSES.includes(status)) {
+    this.closedAt = changedAt;
+    this.resolvedAt = status === 'resolved' ? changedAt : undefined;
+  } else {
+    this.closedAt = undefined;
+    this.resolvedAt = undefined;
+  }
+};
+
+ReportSchema.pre('save', function (next) {
+  // Remember a status change so it can be announced once it is persisted
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  next();
+});
+
+// Announce status changes made through recordStatusChange. Set
+// $locals.suppressStatusEvent when a more specific event is emitted instead.
+ReportSchema.post('save', function (doc) {
+  if (!doc.$locals.statusChanged || doc.$locals.suppressStatusEvent) return;
+  doc.$locals.statusChanged = false;
+
+  const entry = doc.statusHistory[doc.statusHistory.length - 1];
+  emitEvent(EVENTS.STATUS_CHANGED, {
+    report: doc,
+    from: entry?.from,
+    to: doc.status,
+    actorId: entry?.actor,
+    note: entry?.note
+  });
+});
+
+ReportSchema.index({ createdAt: -1 });
+ReportSchema.index({ status: 1, createdAt: -1 });
+ReportSchema.index({ upvoteCount: -1, createdAt: -1 });
+ReportSchema.index({ hotScore: -1, createdAt: -1 });
+ReportSchema.index({ status: 1, urgencyScore: -1 });
+ReportSchema.index({ status: 1, dueAt: 1 });
+ReportSchema.index({ duplicateOf: 1 });
+ReportSchema.index({ ward: 1, status: 1 });
+ReportSchema.index({ resolvedAt: 1 });
+ReportSchema.index({ closedAt: 1 });
+ReportSchema.index({ followers: 1 });
+
 module.exports = mongoose.model('Report', ReportSchema);
\ No newline at end of file
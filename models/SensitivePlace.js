@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// School, hospital or similar site. Reports close to one are treated as more urgent.
+const SensitivePlaceSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Please add a name'], trim: true },
+  kind: {
+    type: String,
+    enum: ['school', 'hospital', 'clinic', 'college', 'anganwadi', 'elder_care', 'other'],
+    required: [true, 'Please add a kind']
+  },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: [true, 'Please add coordinates [longitude, latitude]'] }
+  },
+  radiusMeters: { type: Number, default: 500, min: 50, max: 2000 }, // Area of influence
+  createdBy: { type: mongoose.Schema.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+SensitivePlaceSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('SensitivePlace', SensitivePlaceSchema);
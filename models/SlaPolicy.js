@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Resolution target for reports of a given category and priority.
+// A category of '*' applies to every category without its own policy.
+const SlaPolicySchema = new mongoose.Schema({
+  category: { type: String, required: true, default: '*' },
+  priority: { type: String, required: true, enum: ['low', 'medium', 'high'] },
+  targetHours: { type: Number, required: true, min: 1 },
+  updatedBy: { type: mongoose.Schema.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+SlaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', SlaPolicySchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One user's upvote on a report. Kept out of the report document so upvote
+// velocity can be counted by time without loading ever-growing arrays.
+const UpvoteSchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.ObjectId, ref: 'Report', required: true },
+  user: { type: mongoose.Schema.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+UpvoteSchema.index({ report: 1, user: 1 }, { unique: true });
+UpvoteSchema.index({ createdAt: -1, report: 1 });
+UpvoteSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Upvote', UpvoteSchema);
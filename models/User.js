@@ -32,8 +32,27 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'department_officer', 'field_worker'],
     default: 'user'
+  },
+  // Department staff (officers and field workers) belong to one department
+  department: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Department'
+  },
+  // Banned users can no longer comment
+  isBanned: {
+    type: Boolean,
+    default: false
+  },
+  bannedAt: Date,
+  banReason: String,
+  // Which report updates the user wants by email
+  emailPreferences: {
+    reportReceived: { type: Boolean, default: true },
+    statusChanged: { type: Boolean, default: true },
+    resolved: { type: Boolean, default: true },
+    commentReply: { type: Boolean, default: true }
   }
 }, {
   timestamps: true
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../services/events');
+
+// Partner endpoint that receives signed report events
+const WebhookSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Please add a name'], trim: true },
+  url: {
+    type: String,
+    required: [true, 'Please add a URL'],
+    match: [/^https?:\/\/\S+$/, 'Please add a valid http(s) URL']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  secret: { type: String, required: true, select: false }, // HMAC signing key
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+  lastDeliveryAt: Date
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ events: 1, isActive: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
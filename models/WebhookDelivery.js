@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being retried) to one webhook
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: [{
+    _id: false,
+    attemptedAt: { type: Date, default: Date.now },
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  attemptCount: { type: Number, default: 0 },
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
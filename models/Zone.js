@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Municipal ward or zone boundary, stored as GeoJSON
+const ZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a zone name'],
+    unique: true,
+    trim: true
+  },
+  code: { type: String, trim: true },
+  kind: { type: String, enum: ['ward', 'zone'], default: 'ward' },
+  geometry: {
+    type: { type: String, enum: ['Polygon', 'MultiPolygon'], required: true },
+    coordinates: { type: Array, required: true }
+  },
+  properties: mongoose.Schema.Types.Mixed // Original GeoJSON feature properties
+}, {
+  timestamps: true
+});
+
+ZoneSchema.index({ geometry: '2dsphere' });
+
+module.exports = mongoose.model('Zone', ZoneSchema);
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getTrends,
+  getResolutionTimes,
+  getBacklog,
+  getAiFlagShare
+} = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Analytics are admin only
+router.use(protect, authorize('admin'));
+
+router.get('/trends', getTrends);
+router.get('/resolution-times', getResolutionTimes);
+router.get('/backlog', getBacklog);
+router.get('/ai-flags', getAiFlagShare);
+
+module.exports = router;
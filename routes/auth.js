@@ -1,10 +1,12 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { register, login, getMe, updateEmailPreferences, updateUserRole } = require('../controllers/authController');
+const { protect, authorize } = require('../middleware/authMiddleware');
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
 router.get('/me', protect, getMe);
+router.put('/me/email-preferences', protect, updateEmailPreferences);
+router.put('/users/:id/role', protect, authorize('admin'), updateUserRole);
 
 module.exports = router;    
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const { updateComment, deleteComment, togglePin, flagComment } = require('../controllers/commentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.route('/:id')
+  .put(protect, updateComment)
+  .delete(protect, deleteComment);
+router.post('/:id/flag', protect, flagComment);
+router.put('/:id/pin', protect, authorize('admin', 'department_officer', 'field_worker'), togglePin);
+
+module.exports = router;
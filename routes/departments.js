@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} = require('../controllers/departmentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getDepartments)
+  .post(protect, authorize('admin'), createDepartment);
+
+router.route('/:id')
+  .get(protect, getDepartment)
+  .put(protect, authorize('admin'), updateDepartment)
+  .delete(protect, authorize('admin'), deleteDepartment);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getQueue,
+  approveComment,
+  hideComment,
+  banAuthor,
+  unbanUser,
+  getTerms,
+  addTerm,
+  deleteTerm
+} = require('../controllers/moderationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Moderation is admin only
+router.use(protect, authorize('admin'));
+
+router.get('/queue', getQueue);
+router.put('/comments/:id/approve', approveComment);
+router.put('/comments/:id/hide', hideComment);
+router.put('/comments/:id/ban', banAuthor);
+router.put('/users/:id/unban', unbanUser);
+
+router.route('/terms')
+  .get(getTerms)
+  .post(addTerm);
+router.delete('/terms/:id', deleteTerm);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getNotifications, getUnreadCount, markRead, markAllRead } = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', protect, getNotifications);
+router.get('/unread-count', protect, getUnreadCount);
+router.put('/read-all', protect, markAllRead);
+router.put('/:id/read', protect, markRead);
+
+module.exports = router;
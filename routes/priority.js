@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getWeights,
+  getPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  recomputeScores
+} = require('../controllers/priorityController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Priority configuration is admin only
+router.use(protect, authorize('admin'));
+
+router.get('/weights', getWeights);
+router.post('/recompute', recomputeScores);
+router.route('/places')
+  .get(getPlaces)
+  .post(createPlace);
+router.route('/places/:id')
+  .put(updatePlace)
+  .delete(deletePlace);
+
+module.exports = router;
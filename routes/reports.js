@@ -11,31 +11,77 @@ const {
   assignDepartment,
   updateUserReportImage,
   deleteReportImage,
-  addComment
+  getReportTimeline,
+  reopenReport,
+  assignFieldWorker,
+  mergeDuplicates,
+  searchReports,
+  getNearbyReports,
+  getReportsInBoundingBox,
+  getReportsInPolygon,
+  getReportClusters,
+  bulkUpdateReports,
+  streamReports,
+  followReport,
+  unfollowReport,
+  getFollowedReports,
+  getTrendingReports,
+  getWorkQueue
 } = require('../controllers/reportController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { exportReports } = require('../controllers/exportController');
+const { addComment, getComments } = require('../controllers/commentController');
+const { protect, authorize, identify, scopeReports, acceptQueryToken } = require('../middleware/authMiddleware');
 const router = express.Router();
 
-// Publicly viewable reports
-router.route('/').get(getReports);
+// Publicly viewable reports (department staff only see their own scope)
+router.route('/').get(identify, scopeReports, getReports);
+router.route('/search').get(identify, scopeReports, searchReports);
+router.route('/trending').get(identify, scopeReports, getTrendingReports);
+
+// Geospatial queries for the map view
+router.route('/nearby').get(identify, scopeReports, getNearbyReports);
+router.route('/nearby/:latitude/:longitude/:radius').get(identify, scopeReports, getNearbyReports);
+router.route('/within/bbox').get(identify, scopeReports, getReportsInBoundingBox);
+router.route('/within/polygon').post(identify, scopeReports, getReportsInPolygon);
+router.route('/clusters').get(identify, scopeReports, getReportClusters);
+
+// GIS (geojson, kml) and spreadsheet (csv, xlsx) exports
+router.route('/export/:format(geojson|kml|csv|xlsx)')
+  .get(protect, authorize('admin', 'department_officer'), scopeReports, exportReports);
+
+// Live updates for dashboards and report followers
+router.route('/stream').get(acceptQueryToken, protect, streamReports);
 
 // --- NEW UPVOTE ROUTE ---
 // Must be authenticated to upvote
 router.route('/:id/upvote').put(protect, upvoteReport);
 router.route('/:id/comment').post(protect, addComment);
+router.route('/:id/comments').get(identify, getComments);
+router.route('/:id/follow')
+  .post(protect, followReport)
+  .delete(protect, unfollowReport);
 
 // All other routes that modify data are protected
 router.route('/')
   .post(protect, createReport);
 router.route('/my-reports').get(protect, getUserReports);
+router.route('/following').get(protect, getFollowedReports);
 
 router.route('/stats').get(protect, authorize('admin'), getReportStats);
+router.route('/queue').get(protect, authorize('admin', 'department_officer'), scopeReports, getWorkQueue);
+router.route('/bulk-update').put(protect, authorize('admin'), bulkUpdateReports);
+
+router.route('/:id/timeline').get(getReportTimeline);
+router.route('/:id/reopen').post(protect, reopenReport);
 
 router.route('/:id/assign').put(protect, authorize('admin'), assignDepartment);
+router.route('/:id/merge').post(protect, authorize('admin'), mergeDuplicates);
+router.route('/:id/assign-worker')
+  .put(protect, authorize('admin', 'department_officer'), scopeReports, assignFieldWorker);
 
 router.route('/:id')
-  .get(getReport)
-  .put(protect, authorize('admin'), updateReportStatus)
+  .get(identify, scopeReports, getReport)
+  .put(protect, authorize('admin', 'department_officer', 'field_worker'), scopeReports, updateReportStatus)
   .delete(protect, deleteReport);
 
 // Image management routes
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getSlaPolicies,
+  upsertSlaPolicy,
+  deleteSlaPolicy,
+  runSweep
+} = require('../controllers/slaController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// SLA configuration is admin only
+router.use(protect, authorize('admin'));
+
+router.route('/')
+  .get(getSlaPolicies)
+  .put(upsertSlaPolicy);
+router.post('/sweep', runSweep);
+router.delete('/:id', deleteSlaPolicy);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  getDeliveries,
+  getDelivery,
+  replayDelivery
+} = require('../controllers/webhookController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Webhook management is admin only
+router.use(protect, authorize('admin'));
+
+router.route('/')
+  .get(getWebhooks)
+  .post(createWebhook);
+router.get('/deliveries', getDeliveries);
+router.get('/deliveries/:id', getDelivery);
+router.post('/deliveries/:id/replay', replayDelivery);
+router.route('/:id')
+  .put(updateWebhook)
+  .delete(deleteWebhook);
+router.post('/:id/rotate-secret', rotateSecret);
+
+module.exports = router;
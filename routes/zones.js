@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getZones,
+  getZone,
+  importZoneFile,
+  retagAllReports,
+  deleteZone
+} = require('../controllers/zoneController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', getZones);
+router.post('/import', protect, authorize('admin'), importZoneFile);
+router.post('/retag', protect, authorize('admin'), retagAllReports);
+
+router.route('/:id')
+  .get(getZone)
+  .delete(protect, authorize('admin'), deleteZone);
+
+module.exports = router;
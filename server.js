@@ -5,6 +5,15 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db'); // Adjust path to your DB config
+const { startSlaScheduler } = require('./services/sla');
+const { migrateEmbeddedComments } = require('./services/commentMigration');
+const { registerNotificationHandlers } = require('./services/notifications');
+const { registerEmailHandlers } = require('./services/emailNotifications');
+const { registerWebhookHandlers, startWebhookRetryScheduler } = require('./services/webhooks');
+const { registerRealtimeHandlers } = require('./services/realtime');
+const { migrateEmbeddedUpvotes } = require('./services/upvoteMigration');
+const { registerTrendingHandlers, startTrendingScheduler } = require('./services/trending');
+const { registerPriorityHandlers, startPriorityScheduler } = require('./services/priorityEngine');
 
 const app = express();
 
@@ -53,12 +62,24 @@ const seedAdminUser = async () => {
 const initializeApp = async () => {
   try {
     await seedAdminUser();
+    await migrateEmbeddedComments();
+    await migrateEmbeddedUpvotes();
+    startSlaScheduler();
+    startWebhookRetryScheduler();
+    startTrendingScheduler();
+    startPriorityScheduler();
   } catch (error) {
     console.error('Error initializing app:', error);
   }
 };
 
 // Call initialization function
+registerNotificationHandlers();
+registerEmailHandlers();
+registerWebhookHandlers();
+registerRealtimeHandlers();
+registerTrendingHandlers();
+registerPriorityHandlers();
 initializeApp();
 
 // CORS Options Configuration
@@ -107,13 +128,40 @@ app.use((req, res, next) => {
 const authRoutes = require('./routes/auth');
 const reportsRoutes = require('./routes/reports');
 const aiRoutes = require('./routes/ai');
+const slaRoutes = require('./routes/sla');
+const departmentRoutes = require('./routes/departments');
+const zoneRoutes = require('./routes/zones');
+const analyticsRoutes = require('./routes/analytics');
+const commentRoutes = require('./routes/comments');
+const moderationRoutes = require('./routes/moderation');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const priorityRoutes = require('./routes/priority');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/zones', zoneRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/priority', priorityRoutes);
 app.use('/auth', authRoutes);
 app.use('/reports', reportsRoutes);
 app.use('/ai', aiRoutes);
+app.use('/sla', slaRoutes);
+app.use('/departments', departmentRoutes);
+app.use('/zones', zoneRoutes);
+app.use('/analytics', analyticsRoutes);
+app.use('/comments', commentRoutes);
+app.use('/moderation', moderationRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/priority', priorityRoutes);
 // Test route to verify server is working
 app.get('/', (req, res) => {
   res.json({ 
@@ -0,0 +1,282 @@
+/**
+ * CivicSync Analytics
+ *
+ * Time-series and resolution metrics computed with MongoDB aggregation
+ * pipelines. Every metric takes a date range plus the standard listing
+ * filters (see services/reportQuery.js).
+ *
+ * Reports resolved before `resolvedAt` was recorded fall back to the last
+ * 'resolved' entry in their status history.
+ */
+
+const Report = require('../models/Report');
+const { CLOSED_STATUSES } = require('./workflow');
+
+const INTERVALS = ['day', 'week', 'month'];
+const GROUP_FIELDS = { category: '$category', department: '$assignedDepartment', ward: '$ward' };
+const DEFAULT_RANGE_DAYS = 90;
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Latest status-history timestamp for a set of statuses
+const lastHistoryDate = (statuses) => ({
+  $max: {
+    $map: {
+      input: {
+        $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $in: ['$$this.to', statuses] } }
+      },
+      in: '$$this.changedAt'
+    }
+  }
+});
+
+// Only reports currently in one of the statuses have a meaningful date
+const statusDate = (field, statuses) => ({
+  $cond: [{ $in: ['$status', statuses] }, { $ifNull: [field, lastHistoryDate(statuses)] }, null]
+});
+
+const RESOLVED_AT = statusDate('$resolvedAt', ['resolved']);
+const CLOSED_AT = statusDate('$closedAt', CLOSED_STATUSES);
+
+const castFilter = (filter) => Report.find().cast(Report, filter);
+
+const bucket = (dateExpr, interval) => ({
+  $dateTrunc: {
+    date: dateExpr,
+    unit: interval,
+    timezone: TIMEZONE,
+    ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+// Calendar fields of an instant as seen in TIMEZONE
+const zonedFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE, hourCycle: 'h23',
+  year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+});
+function zonedParts(date) {
+  const parts = Object.fromEntries(zonedFormat.formatToParts(date).map(p => [p.type, Number(p.value)]));
+  return { ...parts, month: parts.month - 1 };
+}
+
+// Instant of local midnight in TIMEZONE for a calendar day (month is 0-based and may overflow)
+function zonedMidnight(year, month, day) {
+  const wall = Date.UTC(year, month, day);
+  let instant = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(instant));
+    const offset = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - instant;
+    instant = wall - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Every bucket key between from and to, matching the $dateTrunc buckets,
+ * so periods with no activity still appear in a series
+ */
+function periodKeys({ from, to }, interval) {
+  const { year, month, day } = zonedParts(from);
+  let cursor = { year, month, day: interval === 'month' ? 1 : day };
+  if (interval === 'week') {
+    // Monday-based weeks, as in bucket()
+    const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+    cursor.day -= (weekday + 6) % 7;
+  }
+
+  const keys = [];
+  for (let start = zonedMidnight(cursor.year, cursor.month, cursor.day); start <= to;
+    start = zonedMidnight(cursor.year, cursor.month, cursor.day)) {
+    keys.push(start.toISOString());
+    if (interval === 'month') cursor.month += 1;
+    else cursor.day += interval === 'week' ? 7 : 1;
+  }
+  return keys;
+}
+
+/**
+ * Default the date range to the last DEFAULT_RANGE_DAYS days
+ */
+function resolveRange({ from, to } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * HOUR_MS);
+  return { from: start, to: end };
+}
+
+// Count documents per interval bucket of a date expression inside the range
+async function countPerBucket(filter, dateExpr, { from, to }, interval) {
+  const rows = await Report.aggregate([
+    { $match: castFilter(filter) },
+    { $project: { at: dateExpr } },
+    { $match: { at: { $gte: from, $lte: to } } },
+    { $group: { _id: bucket('$at', interval), count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return new Map(rows.map(r => [r._id.toISOString(), r.count]));
+}
+
+/**
+ * Reports created and resolved per interval
+ *
+ * @param {Object} filter - Listing filter without a createdAt range
+ * @param {Object} range - { from, to }
+ * @param {string} interval - day | week | month
+ */
+async function createdResolvedSeries(filter, range, interval) {
+  const { from, to } = resolveRange(range);
+  const [created, resolved] = await Promise.all([
+    countPerBucket(filter, '$createdAt', { from, to }, interval),
+    countPerBucket({ ...filter, status: 'resolved' }, RESOLVED_AT, { from, to }, interval)
+  ]);
+
+  const periods = periodKeys({ from, to }, interval);
+  return {
+    from,
+    to,
+    interval,
+    series: periods.map(period => ({
+      period,
+      created: created.get(period) || 0,
+      resolved: resolved.get(period) || 0
+    }))
+  };
+}
+
+/**
+ * Median, p90 and mean time-to-resolve (hours), grouped by category, department or ward
+ *
+ * @param {Object} filter - Listing filter without a createdAt range
+ * @param {Object} range - Reports resolved within { from, to }
+ * @param {string} groupBy - category | department | ward
+ */
+async function resolutionTimes(filter, range, groupBy) {
+  const { from, to } = resolveRange(range);
+  const percentile = (p) => ({
+    $arrayElemAt: ['$durations', { $toInt: { $floor: { $multiply: [{ $subtract: ['$count', 1] }, p] } } }]
+  });
+
+  const rows = await Report.aggregate([
+    { $match: castFilter({ ...filter, status: 'resolved' }) },
+    { $project: { key: GROUP_FIELDS[groupBy], createdAt: 1, resolvedAt: RESOLVED_AT } },
+    { $match: { resolvedAt: { $gte: from, $lte: to } } },
+    { $project: { key: 1, hours: { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, HOUR_MS] } } },
+    { $sort: { hours: 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$key', 'Unknown'] },
+        durations: { $push: '$hours' },
+        count: { $sum: 1 },
+        avgHours: { $avg: '$hours' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        [groupBy]: '$_id',
+        count: 1,
+        avgHours: { $round: ['$avgHours', 1] },
+        medianHours: { $round: [percentile(0.5), 1] },
+        p90Hours: { $round: [percentile(0.9), 1] }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  return { from, to, groupBy, data: rows };
+}
+
+/**
+ * Open backlog at the end of each interval: reports created by then and not yet closed
+ */
+async function backlogSeries(filter, range, interval) {
+  const { from, to } = resolveRange(range);
+
+  const [openAtStart, created, closed] = await Promise.all([
+    Report.aggregate([
+      { $match: castFilter({ ...filter, createdAt: { $lt: from } }) },
+      { $project: { closedAt: CLOSED_AT } },
+      { $match: { $or: [{ closedAt: null }, { closedAt: { $gte: from } }] } },
+      { $count: 'count' }
+    ]),
+    countPerBucket(filter, '$createdAt', { from, to }, interval),
+    countPerBucket({ ...filter, status: { $in: CLOSED_STATUSES } }, CLOSED_AT, { from, to }, interval)
+  ]);
+
+  let backlog = openAtStart[0]?.count || 0;
+  const periods = periodKeys({ from, to }, interval);
+  return {
+    from,
+    to,
+    interval,
+    openAtStart: backlog,
+    series: periods.map(period => {
+      const opened = created.get(period) || 0;
+      const closedCount = closed.get(period) || 0;
+      backlog += opened - closedCount;
+      return { period, opened, closed: closedCount, backlog };
+    })
+  };
+}
+
+/**
+ * Share of reports flagged by the AI pipeline, overall and per category and reason
+ */
+async function aiFlagShare(filter) {
+  const [result] = await Report.aggregate([
+    { $match: castFilter(filter) },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              flagged: { $sum: { $cond: ['$aiFlags.isFlagged', 1, 0] } },
+              possibleDuplicates: { $sum: { $cond: ['$aiFlags.isDuplicate', 1, 0] } },
+              avgCredibility: { $avg: '$aiFlags.credibilityScore' }
+            }
+          }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: '$category',
+              total: { $sum: 1 },
+              flagged: { $sum: { $cond: ['$aiFlags.isFlagged', 1, 0] } }
+            }
+          },
+          { $project: { _id: 0, category: '$_id', total: 1, flagged: 1, share: { $round: [{ $divide: ['$flagged', '$total'] }, 3] } } },
+          { $sort: { flagged: -1 } }
+        ],
+        byReason: [
+          { $unwind: '$aiFlags.flagReasons' },
+          { $group: { _id: '$aiFlags.flagReasons', count: { $sum: 1 } } },
+          { $project: { _id: 0, reason: '$_id', count: 1 } },
+          { $sort: { count: -1 } },
+          { $limit: 20 }
+        ]
+      }
+    }
+  ]);
+
+  const overall = result.overall[0] || { total: 0, flagged: 0, possibleDuplicates: 0, avgCredibility: null };
+  return {
+    total: overall.total,
+    flagged: overall.flagged,
+    share: overall.total ? parseFloat((overall.flagged / overall.total).toFixed(3)) : 0,
+    possibleDuplicates: overall.possibleDuplicates,
+    avgCredibility: overall.avgCredibility != null ? parseFloat(overall.avgCredibility.toFixed(3)) : null,
+    byCategory: result.byCategory,
+    byReason: result.byReason
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  GROUP_FIELDS,
+  resolveRange,
+  createdResolvedSeries,
+  resolutionTimes,
+  backlogSeries,
+  aiFlagShare
+};
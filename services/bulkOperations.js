@@ -0,0 +1,178 @@
+/**
+ * CivicSync Bulk Operations
+ *
+ * Runs one allowlisted action across many reports. Every report is checked
+ * and updated on its own, so one bad id or illegal transition does not stop
+ * the rest, and the caller gets a result per report. Each run is written to
+ * the audit log.
+ */
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const Comment = require('../models/Comment');
+const Upvote = require('../models/Upvote');
+const { validateTransition } = require('./workflow');
+const { computeDueDate, applySlaTransition } = require('./sla');
+const { resolveDepartment } = require('./departmentRouting');
+const { mergeReports, resolveLinkedDuplicates } = require('./reportMerge');
+const { EVENTS, emitEvent } = require('./events');
+
+const MAX_BULK_REPORTS = 500;
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const ok = (reportId, message) => ({ reportId, success: true, message });
+const fail = (reportId, message) => ({ reportId, success: false, message });
+
+// Apply a per-report handler to every id, collecting results
+async function eachReport(reportIds, handler) {
+  const results = [];
+  for (const id of reportIds) {
+    try {
+      const report = await Report.findById(id);
+      if (!report) {
+        results.push(fail(id, 'Report not found'));
+        continue;
+      }
+      results.push(await handler(report));
+    } catch (error) {
+      results.push(fail(id, error.message));
+    }
+  }
+  return results;
+}
+
+// action -> { validate(params), run(reportIds, params, actor, context) }
+const ACTIONS = {
+  status: {
+    validate: ({ status }) => {
+      if (!status) return 'status is required';
+      if (status === 'duplicate') return "Use the 'merge' action to mark reports as duplicates";
+      return null;
+    },
+    run: (reportIds, { status, reason, note }, actor) => eachReport(reportIds, async (report) => {
+      const id = report._id.toString();
+      const check = validateTransition(report, status, actor.role, { reason });
+      if (!check.ok) return fail(id, check.message);
+
+      if (status === 'rejected') report.rejectionReason = reason.trim();
+      await applySlaTransition(report, status);
+      report.recordStatusChange(status, actor.id, note || reason);
+      await report.save();
+
+      if (status === 'resolved') await resolveLinkedDuplicates(report, actor);
+      return ok(id);
+    })
+  },
+
+  assign: {
+    validate: ({ department }) => department ? null : 'department is required',
+    run: async (reportIds, { department }, actor) => {
+      const found = await resolveDepartment(department);
+      if (!found || !found.isActive) {
+        return reportIds.map(id => fail(id, `Department '${department}' does not exist`));
+      }
+      return eachReport(reportIds, async (report) => {
+        report.department = found._id;
+        report.assignedDepartment = found.name;
+        await report.save();
+        emitEvent(EVENTS.ASSIGNED, { report, department: found.name, actorId: actor.id });
+        return ok(report._id.toString());
+      });
+    }
+  },
+
+  priority: {
+    validate: ({ priority }) => PRIORITIES.includes(priority)
+      ? null
+      : `priority must be one of: ${PRIORITIES.join(', ')}`,
+    run: (reportIds, { priority }) => eachReport(reportIds, async (report) => {
+      if (report.priority === priority) return ok(report._id.toString(), 'Priority unchanged');
+      report.priority = priority;
+      // The SLA target depends on priority, so move the due date with it
+      report.dueAt = await computeDueDate(report.category, priority, report.createdAt);
+      // A later due date lifts the breach; an earlier one is picked up by the next SLA sweep
+      if (report.dueAt > new Date()) {
+        report.isOverdue = false;
+        report.nextEscalationAt = undefined;
+      }
+      await report.save();
+      return ok(report._id.toString());
+    })
+  },
+
+  merge: {
+    validate: ({ canonicalId }) => canonicalId ? null : 'canonicalId is required',
+    run: async (reportIds, { canonicalId }, actor) => {
+      const canonical = await Report.findById(canonicalId);
+      if (!canonical || canonical.status === 'duplicate') {
+        return reportIds.map(id => fail(id, 'Canonical report not found or is itself a duplicate'));
+      }
+      const { results } = await mergeReports(canonical, reportIds, actor);
+      return results;
+    }
+  },
+
+  delete: {
+    validate: () => null,
+    run: (reportIds, params, actor, { deleteImage }) => eachReport(reportIds, async (report) => {
+      await deleteImage(report.imageUrl);
+      await deleteImage(report.afterImageUrl);
+      await report.deleteOne();
+      await Promise.all([
+        Comment.deleteMany({ report: report._id }),
+        Upvote.deleteMany({ report: report._id })
+      ]);
+      return ok(report._id.toString());
+    })
+  }
+};
+
+/**
+ * Run a bulk action
+ *
+ * @param {Object} request
+ * @param {string} request.action - One of the keys of ACTIONS
+ * @param {string[]} request.reportIds - Reports to act on
+ * @param {Object} request.params - Action parameters
+ * @param {Object} actor - Acting user (needs `id` and `role`)
+ * @param {Object} context
+ * @param {Function} context.deleteImage - Removes a stored image by URL
+ * @returns {{ error?: string, results?: Object[], auditId?: string }}
+ */
+async function runBulkAction({ action, reportIds, params = {} }, actor, context) {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    return { error: `Unknown action '${action}'. Use one of: ${Object.keys(ACTIONS).join(', ')}` };
+  }
+  if (!Array.isArray(reportIds) || reportIds.length === 0) {
+    return { error: 'reportIds must be a non-empty array' };
+  }
+  if (reportIds.length > MAX_BULK_REPORTS) {
+    return { error: `At most ${MAX_BULK_REPORTS} reports can be updated at once` };
+  }
+  const paramError = definition.validate(params);
+  if (paramError) return { error: paramError };
+
+  const uniqueIds = [...new Set(reportIds.map(String))];
+  const validIds = uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const invalid = uniqueIds.filter(id => !mongoose.Types.ObjectId.isValid(id)).map(id => fail(id, 'Invalid report id'));
+
+  const results = [...invalid, ...await definition.run(validIds, params, actor, context)];
+  const succeeded = results.filter(r => r.success).length;
+
+  const { status, reason, note, department, priority, canonicalId } = params;
+  const audit = await AuditLog.create({
+    actor: actor.id,
+    action: `bulk:${action}`,
+    params: { status, reason, note, department, priority, canonicalId },
+    reportIds: validIds,
+    results,
+    succeeded,
+    failed: results.length - succeeded
+  });
+
+  return { results, succeeded, failed: results.length - succeeded, auditId: audit._id };
+}
+
+module.exports = { ACTIONS, MAX_BULK_REPORTS, runBulkAction };
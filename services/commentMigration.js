@@ -0,0 +1,58 @@
+/**
+ * CivicSync Comment Migration
+ *
+ * Comments used to be embedded in each report document. This moves any that
+ * are still embedded into the Comment collection, then removes the array.
+ * Safe to run on every start-up: reports without embedded comments are skipped,
+ * and comments already copied by an interrupted run are not copied again.
+ */
+
+const Report = require('../models/Report');
+const Comment = require('../models/Comment');
+
+async function migrateEmbeddedComments() {
+  // Read through the raw collection because `comments` is no longer in the schema
+  const cursor = Report.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const report of cursor) {
+    const comments = report.comments.filter(c => c.user && c.text);
+
+    // Upsert on the embedded comment's id (or its content when it has none) so a
+    // run interrupted before the $unset below does not copy comments twice
+    if (comments.length) {
+      await Comment.bulkWrite(comments.map(c => ({
+        updateOne: {
+          filter: c._id
+            ? { _id: c._id }
+            : { report: report._id, user: c.user, text: c.text, ...(c.createdAt && { createdAt: c.createdAt }) },
+          update: {
+            $setOnInsert: {
+              report: report._id,
+              user: c.user,
+              text: c.text,
+              createdAt: c.createdAt || new Date(),
+              mergedFrom: c.mergedFrom
+            }
+          },
+          upsert: true
+        }
+      })));
+    }
+    await Report.collection.updateOne(
+      { _id: report._id },
+      { $unset: { comments: '' }, $set: { commentCount: comments.length } }
+    );
+    migrated += comments.length;
+  }
+
+  if (migrated) {
+    console.log(`💬 Migrated ${migrated} embedded comment(s) to the comments collection`);
+  }
+  return migrated;
+}
+
+module.exports = { migrateEmbeddedComments };
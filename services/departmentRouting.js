@@ -0,0 +1,48 @@
+/**
+ * CivicSync Department Routing
+ *
+ * Picks the department that should handle a report based on its category and,
+ * when known, its ward. A department that lists the ward wins over one that
+ * only matches the category.
+ */
+
+const Department = require('../models/Department');
+
+/**
+ * Find the best department for a report
+ *
+ * @param {Object} report
+ * @param {string} report.category - Report category
+ * @param {string} [report.ward] - Ward the report falls in
+ * @returns {Object|null} - Department document (lean) or null when nothing matches
+ */
+async function findDepartmentFor({ category, ward }) {
+  if (!category) return null;
+
+  const candidates = await Department.find({ isActive: true, categories: category })
+    .select('name wards')
+    .lean();
+
+  if (candidates.length === 0) return null;
+
+  if (ward) {
+    const wardMatch = candidates.find(d => d.wards?.includes(ward));
+    if (wardMatch) return wardMatch;
+  }
+
+  // Otherwise fall back to a city-wide department (no ward restriction)
+  return candidates.find(d => !d.wards || d.wards.length === 0) || null;
+}
+
+/**
+ * Resolve a department from an id or a name
+ */
+async function resolveDepartment(idOrName) {
+  if (!idOrName) return null;
+  const query = /^[a-f\d]{24}$/i.test(idOrName)
+    ? { _id: idOrName }
+    : { name: idOrName };
+  return Department.findOne(query);
+}
+
+module.exports = { findDepartmentFor, resolveDepartment };
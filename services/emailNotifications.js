@@ -0,0 +1,59 @@
+/**
+ * CivicSync Email Notifications
+ *
+ * Sends templated emails for report events to users whose email
+ * preferences allow it. Preference keys match template names. The acting
+ * user is never emailed about their own action.
+ */
+
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { EVENTS, onEvent } = require('./events');
+const { reportAudience } = require('./notifications');
+const { renderTemplate } = require('./emailTemplates');
+const { sendMail } = require('./mailer');
+
+const EMAIL_EVENTS = ['reportReceived', 'statusChanged', 'resolved', 'commentReply'];
+
+/**
+ * Email each opted-in recipient using the named template
+ *
+ * @param {Array} userIds - Recipients
+ * @param {string} template - Template name, also the preference key
+ * @param {Object} data - Template data (the recipient is added as `user`)
+ * @param {string} [actorId] - User who caused the event
+ */
+async function emailUsers(userIds, template, data, actorId) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))]
+    .filter(id => id !== String(actorId));
+  if (!ids.length) return;
+
+  const users = await User.find({
+    _id: { $in: ids },
+    [`emailPreferences.${template}`]: { $ne: false }
+  }).select('username email');
+
+  await Promise.all(users.map(async (user) => {
+    try {
+      await sendMail({ to: user.email, ...renderTemplate(template, { ...data, user }) });
+    } catch (error) {
+      console.error(`✉️ Failed to send ${template} email to ${user.email}:`, error.message);
+    }
+  }));
+}
+
+function registerEmailHandlers() {
+  onEvent(EVENTS.REPORT_CREATED, ({ report }) =>
+    emailUsers([report.user], 'reportReceived', { report }));
+
+  onEvent(EVENTS.STATUS_CHANGED, async ({ report, to, actorId, note }) =>
+    emailUsers(await reportAudience(report), to === 'resolved' ? 'resolved' : 'statusChanged', { report, to, note }, actorId));
+
+  onEvent(EVENTS.COMMENTED, async ({ report, comment, actorId }) => {
+    if (comment.moderationStatus !== 'approved' || !comment.parent) return;
+    const parent = await Comment.findById(comment.parent).select('user');
+    if (parent) await emailUsers([parent.user], 'commentReply', { report, comment }, actorId);
+  });
+}
+
+module.exports = { EMAIL_EVENTS, emailUsers, registerEmailHandlers };
@@ -0,0 +1,83 @@
+/**
+ * CivicSync Email Templates
+ *
+ * Each template takes the data for one event and returns
+ * { subject, text, html }. Everything interpolated into HTML is escaped.
+ */
+
+const APP_URL = process.env.CLIENT_URL || 'http://localhost:8080';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const reportName = (report) => report.title || report.category;
+const reportLink = (report) => `${APP_URL}/reports/${report._id}`;
+
+// Shared HTML shell so every message looks the same
+const layout = (heading, bodyHtml, report) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #0f766e;">${escapeHtml(heading)}</h2>
+    ${bodyHtml}
+    <p><a href="${escapeHtml(reportLink(report))}" style="color: #0f766e;">View the report</a></p>
+    <p style="font-size: 12px; color: #6b7280;">You are receiving this because of your CivicSync email preferences.</p>
+  </body>
+</html>`;
+
+const TEMPLATES = {
+  reportReceived: ({ user, report }) => ({
+    subject: `We received your report: ${reportName(report)}`,
+    text: `Hi ${user.username},\n\nThanks for reporting "${reportName(report)}". ` +
+      `We'll let you know as it progresses.\n\n${reportLink(report)}`,
+    html: layout('Report received', `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    <p>Thanks for reporting <strong>${escapeHtml(reportName(report))}</strong>. We'll let you know as it progresses.</p>`, report)
+  }),
+
+  statusChanged: ({ user, report, to, note }) => ({
+    subject: `Update on ${reportName(report)}: now ${to}`,
+    text: `Hi ${user.username},\n\nThe status of "${reportName(report)}" changed to ${to}.` +
+      `${note ? `\n\nNote: ${note}` : ''}\n\n${reportLink(report)}`,
+    html: layout('Report status updated', `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    <p>The status of <strong>${escapeHtml(reportName(report))}</strong> changed to <strong>${escapeHtml(to)}</strong>.</p>
+    ${note ? `<p><em>${escapeHtml(note)}</em></p>` : ''}`, report)
+  }),
+
+  resolved: ({ user, report, note }) => ({
+    subject: `Resolved: ${reportName(report)}`,
+    text: `Hi ${user.username},\n\n"${reportName(report)}" has been resolved.` +
+      `${note ? `\n\nNote: ${note}` : ''}` +
+      `${report.afterImageUrl ? `\n\nAfter photo: ${report.afterImageUrl}` : ''}\n\n${reportLink(report)}`,
+    html: layout('Report resolved', `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    <p><strong>${escapeHtml(reportName(report))}</strong> has been resolved.</p>
+    ${note ? `<p><em>${escapeHtml(note)}</em></p>` : ''}
+    ${report.afterImageUrl ? `<p><img src="${escapeHtml(report.afterImageUrl)}" alt="After photo" style="max-width: 100%; border-radius: 6px;"></p>` : ''}`, report)
+  }),
+
+  commentReply: ({ user, report, comment }) => ({
+    subject: `New reply on ${reportName(report)}`,
+    text: `Hi ${user.username},\n\nSomeone replied to your comment on "${reportName(report)}":\n\n` +
+      `${comment.text}\n\n${reportLink(report)}`,
+    html: layout('New reply to your comment', `
+    <p>Hi ${escapeHtml(user.username)},</p>
+    <p>Someone replied to your comment on <strong>${escapeHtml(reportName(report))}</strong>:</p>
+    <blockquote style="border-left: 3px solid #d1d5db; margin: 0; padding-left: 12px;">${escapeHtml(comment.text)}</blockquote>`, report)
+  })
+};
+
+/**
+ * Render a named template
+ */
+function renderTemplate(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+}
+
+module.exports = { TEMPLATES, renderTemplate, escapeHtml };
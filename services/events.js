@@ -0,0 +1,103 @@
+/**
+ * CivicSync Report Events
+ *
+ * In-process event bus for things that happen to reports. Controllers and
+ * services emit events; notification, delivery and real-time modules
+ * subscribe to them. Handlers run asynchronously and their failures are
+ * logged, never thrown back into the request that emitted the event.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENTS = {
+  REPORT_CREATED: 'report.created',           // { report }
+  STATUS_CHANGED: 'report.status_changed',    // { report, from, to, actorId, note }
+  ASSIGNED: 'report.assigned',                // { report, department, actorId }
+  FLAGGED: 'report.flagged',                  // { report }
+  MERGED: 'report.merged',                    // { report (duplicate), canonical, actorId }
+  COMMENTED: 'report.commented',              // { report, comment, actorId }
+  ESCALATED: 'report.escalated',              // { report, escalation }
+  UPVOTED: 'report.upvoted'                   // { report, upvoted, actorId }
+};
+
+// Events partners can subscribe to through webhooks
+const WEBHOOK_EVENTS = [
+  EVENTS.REPORT_CREATED,
+  EVENTS.STATUS_CHANGED,
+  EVENTS.ASSIGNED,
+  EVENTS.FLAGGED,
+  EVENTS.MERGED,
+  EVENTS.COMMENTED
+];
+
+// Report fields to load when emitting an event for a partially fetched report,
+// enough for subscribers to route it by owner, department and ward
+const EVENT_REPORT_FIELDS = '_id user title category status priority department assignedDepartment assignedTo ward';
+
+const summarizeReport = (report) => report && ({
+  id: report._id.toString(),
+  title: report.title,
+  category: report.category,
+  status: report.status,
+  priority: report.priority,
+  department: report.assignedDepartment,
+  ward: report.ward,
+  address: report.address,
+  coordinates: report.location?.coordinates,
+  createdAt: report.createdAt
+});
+
+// Event payloads carry mongoose documents; external consumers get a stable JSON shape
+const SERIALIZERS = {
+  [EVENTS.REPORT_CREATED]: ({ report }) => ({ report: summarizeReport(report) }),
+  [EVENTS.STATUS_CHANGED]: ({ report, from, to, note }) => ({ report: summarizeReport(report), from, to, note }),
+  [EVENTS.ASSIGNED]: ({ report, department }) => ({ report: summarizeReport(report), department }),
+  [EVENTS.FLAGGED]: ({ report }) => ({
+    report: summarizeReport(report),
+    flagReasons: report.aiFlags?.flagReasons || []
+  }),
+  [EVENTS.MERGED]: ({ report, canonical }) => ({
+    report: summarizeReport(report),
+    canonicalId: canonical._id.toString()
+  }),
+  [EVENTS.COMMENTED]: ({ report, comment }) => ({
+    reportId: report._id.toString(),
+    comment: {
+      id: comment._id.toString(),
+      text: comment.text,
+      isOfficial: comment.isOfficial,
+      parentId: comment.parent ? comment.parent.toString() : null,
+      createdAt: comment.createdAt
+    }
+  })
+};
+
+/**
+ * JSON-safe version of an event payload for webhooks and streams
+ */
+function serializeEvent(name, payload) {
+  return SERIALIZERS[name] ? SERIALIZERS[name](payload) : {};
+}
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/**
+ * Publish an event
+ */
+function emitEvent(name, payload) {
+  bus.emit(name, payload);
+}
+
+/**
+ * Subscribe to an event with an (optionally async) handler
+ */
+function onEvent(name, handler) {
+  bus.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`⚠️ Handler for ${name} failed:`, error.message));
+  });
+}
+
+module.exports = { EVENTS, WEBHOOK_EVENTS, EVENT_REPORT_FIELDS, emitEvent, onEvent, serializeEvent };
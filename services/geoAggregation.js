@@ -0,0 +1,115 @@
+/**
+ * CivicSync Map Clustering
+ *
+ * Groups reports inside a map viewport into square grid cells sized for the
+ * current zoom level, using a MongoDB aggregation pipeline. Each cell comes
+ * back as a GeoJSON Point feature at the centroid of its reports, with counts
+ * broken down by status and category, ready for a heatmap or cluster layer.
+ * The grid is anchored at longitude/latitude 0, not at the viewport, so cells
+ * (and their ids) stay put as the map is panned.
+ */
+
+const Report = require('../models/Report');
+const { GEO_FIELD } = require('./geoQuery');
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 20;
+const CELLS_PER_TILE = 4; // Grid cells across one 256px map tile
+
+/**
+ * Width of a grid cell in degrees for a web-map zoom level
+ */
+function cellSizeForZoom(zoom) {
+  return 360 / (Math.pow(2, zoom) * CELLS_PER_TILE);
+}
+
+/**
+ * Aggregate reports into grid cells
+ *
+ * @param {Object} filter - MongoDB filter (listing filters, bbox and scope already merged)
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} - GeoJSON FeatureCollection with one feature per non-empty cell
+ */
+async function clusterReports(filter, zoom) {
+  const cellSize = cellSizeForZoom(zoom);
+  const lng = { $arrayElemAt: [`$${GEO_FIELD}`, 0] };
+  const lat = { $arrayElemAt: [`$${GEO_FIELD}`, 1] };
+
+  const rows = await Report.aggregate([
+    { $match: Report.find().cast(Report, filter) },
+    {
+      $project: {
+        status: 1,
+        category: 1,
+        lng,
+        lat,
+        cellX: { $floor: { $divide: [lng, cellSize] } },
+        cellY: { $floor: { $divide: [lat, cellSize] } }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$cellX', y: '$cellY', status: '$status', category: '$category' },
+        count: { $sum: 1 },
+        sumLng: { $sum: '$lng' },
+        sumLat: { $sum: '$lat' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        sumLng: { $sum: '$sumLng' },
+        sumLat: { $sum: '$sumLat' },
+        breakdown: { $push: { status: '$_id.status', category: '$_id.category', count: '$count' } }
+      }
+    }
+  ]);
+
+  const maxCount = rows.reduce((max, r) => Math.max(max, r.count), 0);
+
+  const features = rows.map(row => {
+    const byStatus = {};
+    const byCategory = {};
+    row.breakdown.forEach(({ status, category, count }) => {
+      byStatus[status] = (byStatus[status] || 0) + count;
+      byCategory[category] = (byCategory[category] || 0) + count;
+    });
+
+    const west = row._id.x * cellSize;
+    const south = row._id.y * cellSize;
+
+    return {
+      type: 'Feature',
+      id: `${row._id.x}:${row._id.y}`,
+      geometry: {
+        type: 'Point',
+        coordinates: [
+          parseFloat((row.sumLng / row.count).toFixed(6)),
+          parseFloat((row.sumLat / row.count).toFixed(6))
+        ]
+      },
+      properties: {
+        count: row.count,
+        weight: maxCount ? parseFloat((row.count / maxCount).toFixed(3)) : 0,
+        bounds: [west, south, west + cellSize, south + cellSize],
+        byStatus,
+        byCategory
+      }
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    meta: {
+      zoom,
+      cellSize,
+      cells: features.length,
+      total: rows.reduce((sum, r) => sum + r.count, 0),
+      maxCount
+    }
+  };
+}
+
+module.exports = { MIN_ZOOM, MAX_ZOOM, cellSizeForZoom, clusterReports };
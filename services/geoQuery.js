@@ -0,0 +1,114 @@
+/**
+ * CivicSync Geospatial Filters
+ *
+ * Builds `location` filters for radius, bounding-box and polygon queries.
+ * All of them use $geoWithin so they can be combined with the normal listing
+ * filters, counted and paginated. They target `location.coordinates`, which is
+ * where the 2dsphere index on ReportSchema lives.
+ */
+
+const GEO_FIELD = 'location.coordinates';
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 100;
+
+const isLongitude = (v) => Number.isFinite(v) && v >= -180 && v <= 180;
+const isLatitude = (v) => Number.isFinite(v) && v >= -90 && v <= 90;
+
+/**
+ * Reports within `radiusKm` of a point
+ */
+function radiusFilter(latitude, longitude, radiusKm) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const radius = parseFloat(radiusKm);
+
+  if (!isLatitude(lat) || !isLongitude(lng)) {
+    return { error: 'Valid latitude and longitude are required' };
+  }
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `Radius must be between 0 and ${MAX_RADIUS_KM} km` };
+  }
+
+  return {
+    filter: {
+      [GEO_FIELD]: { $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_KM] } }
+    }
+  };
+}
+
+/**
+ * Reports inside a map viewport given as 'minLng,minLat,maxLng,maxLat'
+ */
+function boundingBoxFilter(bbox) {
+  const parts = String(bbox || '').split(',').map(parseFloat);
+  if (parts.length !== 4) {
+    return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (![minLng, maxLng].every(isLongitude) || ![minLat, maxLat].every(isLatitude)) {
+    return { error: 'bbox contains out-of-range coordinates' };
+  }
+  if (minLat >= maxLat || minLng >= maxLng) {
+    return { error: 'bbox minimums must be smaller than maximums' };
+  }
+
+  // Expressed as a polygon so the 2dsphere index is used
+  const ring = [
+    [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+  ];
+  return {
+    filter: {
+      [GEO_FIELD]: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } }
+    },
+    bbox: { minLng, minLat, maxLng, maxLat }
+  };
+}
+
+const isValidRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(p => Array.isArray(p) && isLongitude(p[0]) && isLatitude(p[1]))
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+/**
+ * Normalise a GeoJSON Polygon/MultiPolygon (bare geometry or Feature) and check it
+ *
+ * @returns {{ geometry?: Object, error?: string }}
+ */
+function parsePolygon(input) {
+  const geometry = input?.type === 'Feature' ? input.geometry : input;
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { error: 'A GeoJSON Polygon or MultiPolygon is required' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const valid = Array.isArray(polygons) && polygons.length > 0
+    && polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing));
+  if (!valid) {
+    return { error: 'Polygon rings must be closed and have at least four valid [lng, lat] positions' };
+  }
+
+  return { geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+/**
+ * Reports inside an arbitrary GeoJSON polygon
+ */
+function polygonFilter(input) {
+  const { geometry, error } = parsePolygon(input);
+  if (error) return { error };
+  return { filter: { [GEO_FIELD]: { $geoWithin: { $geometry: geometry } } } };
+}
+
+module.exports = {
+  GEO_FIELD,
+  EARTH_RADIUS_KM,
+  MAX_RADIUS_KM,
+  radiusFilter,
+  boundingBoxFilter,
+  parsePolygon,
+  polygonFilter
+};
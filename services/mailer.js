@@ -0,0 +1,62 @@
+/**
+ * CivicSync Mail Delivery
+ *
+ * Thin wrapper around a nodemailer transport. The SMTP transport is built
+ * from SMTP_* environment variables, so a local SMTP catcher (MailHog,
+ * smtp4dev, ...) can stand in during development and tests. Another
+ * transport can be plugged in with setTransport. When no SMTP host is
+ * configured, mail is logged and dropped.
+ */
+
+const nodemailer = require('nodemailer');
+
+let transport;
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) return null;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+}
+
+/**
+ * Active transport, created from the environment on first use
+ */
+function getTransport() {
+  if (transport === undefined) transport = createSmtpTransport();
+  return transport;
+}
+
+/**
+ * Replace the transport (any object with a nodemailer-style sendMail)
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Send one message
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object|null>} Transport result, or null when mail is disabled
+ */
+async function sendMail(message) {
+  const active = getTransport();
+  if (!active) {
+    console.log('✉️ Mail disabled (no SMTP_HOST), dropping:', { to: message.to, subject: message.subject });
+    return null;
+  }
+
+  return active.sendMail({
+    from: process.env.MAIL_FROM || 'CivicSync <no-reply@civicsync.local>',
+    ...message
+  });
+}
+
+module.exports = { getTransport, setTransport, sendMail };
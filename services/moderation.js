@@ -0,0 +1,149 @@
+/**
+ * CivicSync Comment Moderation
+ *
+ * Screens comment text against an abuse word list covering English, Hinglish
+ * (romanised Hindi) and Devanagari Hindi. Text is normalised first so common
+ * evasions (leetspeak, stretched letters, dotted spellings) still match.
+ * Admins extend or exempt terms through the ModerationTerm collection.
+ */
+
+const ModerationTerm = require('../models/ModerationTerm');
+const Report = require('../models/Report');
+const { EVENTS, EVENT_REPORT_FIELDS, emitEvent } = require('./events');
+
+// Built-in list, by category. Words that also appear in ordinary complaints
+// ('MC' for Municipal Corporation, 'stupid delay', 'chod diya' = left behind,
+// 'suar' = stray pigs, 'gaddha' = pothole, which normalises to 'gadha') are
+// left out; a deployment can add them through the moderation terms API.
+const DEFAULT_TERMS = {
+  profanity: [
+    'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole',
+    'dick', 'cunt', 'whore', 'slut',
+    'chutiya', 'chutiye', 'chootiya', 'madarchod', 'maderchod', 'bhenchod', 'behenchod', 'bhenchodd',
+    'bhosdike', 'bhosadike', 'bhosdi', 'gandu', 'gaandu', 'lund', 'lauda', 'lavda', 'laude', 'randi',
+    'harami', 'haramkhor', 'bsdk',
+    'चूतिया', 'चुतिया', 'मादरचोद', 'बहनचोद', 'भेनचोद', 'भोसडीके', 'गांडू', 'लौड़ा', 'लंड', 'रंडी', 'हरामी', 'हरामखोर'
+  ],
+  abuse: [
+    'retard', 'scum',
+    'kamina', 'kamine', 'kaminey', 'nalayak', 'ullu ka pattha',
+    'कमीना', 'कमीने', 'नालायक', 'उल्लू का पट्ठा'
+  ],
+  threat: [
+    'kill you', 'i will kill', 'maar dunga', 'maar denge', 'jaan se maar', 'dekh lunga', 'tod dunga',
+    'मार दूंगा', 'मार देंगे', 'जान से मार', 'देख लूंगा'
+  ]
+};
+
+// Comments auto-held for review once this many users have flagged them
+const FLAG_HOLD_THRESHOLD = parseInt(process.env.COMMENT_FLAG_THRESHOLD) || 3;
+
+const TERM_CACHE_MS = 5 * 60 * 1000;
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+/**
+ * Normalise text for matching: lowercase, undo leetspeak, drop separators
+ * inside words and collapse stretched letters ("fuuuck" -> "fuck")
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[013457@$]/g, ch => LEET[ch])
+    .replace(/(\p{L})[.\-_*]+(?=\p{L})/gu, '$1')
+    .replace(/(\p{L})\1+/gu, '$1')
+    .replace(/[^\p{L}\p{M}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+let cachedTerms = null;
+let cachedAt = 0;
+
+/**
+ * Effective term list: built-in terms plus admin additions, minus admin exemptions
+ */
+async function getTerms() {
+  if (cachedTerms && Date.now() - cachedAt < TERM_CACHE_MS) return cachedTerms;
+
+  const custom = await ModerationTerm.find().lean();
+  const allowed = new Set(custom.filter(t => t.action === 'allow').map(t => normalize(t.term)));
+
+  const terms = [];
+  Object.entries(DEFAULT_TERMS).forEach(([category, list]) => {
+    list.forEach(term => terms.push({ term: normalize(term), category }));
+  });
+  custom.filter(t => t.action === 'block').forEach(t => terms.push({ term: normalize(t.term), category: t.category }));
+
+  const seen = new Set();
+  cachedTerms = terms.filter(t => {
+    if (!t.term || allowed.has(t.term) || seen.has(t.term)) return false;
+    seen.add(t.term);
+    return true;
+  });
+  cachedAt = Date.now();
+  return cachedTerms;
+}
+
+function clearTermCache() {
+  cachedTerms = null;
+}
+
+/**
+ * Screen a piece of text
+ *
+ * @param {string} text
+ * @returns {{ clean: boolean, matches: { term: string, category: string }[] }}
+ */
+async function screenText(text) {
+  const normalized = ` ${normalize(text)} `;
+  const terms = await getTerms();
+
+  // Whole-word match for every term; longer, distinctive terms also match inside words
+  const matches = terms.filter(({ term }) =>
+    normalized.includes(` ${term} `) || (term.length >= 6 && normalized.includes(term)));
+
+  return {
+    clean: matches.length === 0,
+    matches: matches.map(({ term, category }) => ({ term, category }))
+  };
+}
+
+/**
+ * Move a comment to a moderation status, keeping the report's public comment
+ * count in step (only approved comments are counted)
+ */
+async function setModerationStatus(comment, status, moderatorId) {
+  const wasPending = comment.moderationStatus === 'pending';
+  const wasVisible = comment.moderationStatus === 'approved' && !comment.isDeleted;
+  const isVisible = status === 'approved' && !comment.isDeleted;
+
+  comment.moderationStatus = status;
+  if (moderatorId) {
+    comment.moderatedBy = moderatorId;
+    comment.moderatedAt = new Date();
+  }
+  await comment.save();
+
+  if (wasVisible !== isVisible) {
+    await Report.updateOne({ _id: comment.report }, { $inc: { commentCount: isVisible ? 1 : -1 } });
+  }
+
+  // A held comment that gets approved is announced as if it had just been posted
+  if (wasPending && isVisible) {
+    const report = await Report.findById(comment.report).select(EVENT_REPORT_FIELDS);
+    if (report) emitEvent(EVENTS.COMMENTED, { report, comment, actorId: comment.user });
+  }
+  return comment;
+}
+
+module.exports = {
+  DEFAULT_TERMS,
+  FLAG_HOLD_THRESHOLD,
+  normalize,
+  getTerms,
+  clearTermCache,
+  screenText,
+  setModerationStatus
+};
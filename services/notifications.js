@@ -0,0 +1,121 @@
+/**
+ * CivicSync In-App Notifications
+ *
+ * Turns report events into Notification documents for the people who care
+ * about the report. The acting user is never notified about their own action.
+ */
+
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const { EVENTS, onEvent } = require('./events');
+
+const STATUS_LABELS = {
+  'pending': 'pending',
+  'in-progress': 'in progress',
+  'on-hold': 'on hold',
+  'resolved': 'resolved',
+  'rejected': 'rejected',
+  'duplicate': 'marked as a duplicate',
+  'reopened': 'reopened'
+};
+
+const reportName = (report) => `"${report.title || report.category}"`;
+
+/**
+ * Create the same notification for several users, skipping the actor
+ *
+ * @param {Array} userIds - Recipients
+ * @param {Object} notification - { type, report, title, message, data }
+ * @param {string} [actorId] - User who caused the event
+ */
+async function notifyUsers(userIds, notification, actorId) {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))]
+    .filter(id => id !== String(actorId));
+  if (!recipients.length) return [];
+
+  return Notification.insertMany(recipients.map(user => ({ ...notification, user })));
+}
+
+/**
+ * Users who should hear about changes to a report: its owner and followers
+ */
+async function reportAudience(report) {
+  const stored = await Report.findById(report._id).select('followers').lean();
+  return [report.user, ...(stored?.followers || [])];
+}
+
+function registerNotificationHandlers() {
+  onEvent(EVENTS.STATUS_CHANGED, async ({ report, to, actorId, note }) => notifyUsers(await reportAudience(report), {
+    type: 'status_changed',
+    report: report._id,
+    title: `Report ${reportName(report)} is now ${STATUS_LABELS[to] || to}`,
+    message: note,
+    data: { status: to }
+  }, actorId));
+
+  onEvent(EVENTS.COMMENTED, async ({ report, comment, actorId }) => {
+    if (comment.moderationStatus !== 'approved') return;
+
+    if (comment.isOfficial) {
+      await notifyUsers(await reportAudience(report), {
+        type: 'official_comment',
+        report: report._id,
+        title: `Official response on ${reportName(report)}`,
+        message: comment.text,
+        data: { commentId: comment._id }
+      }, actorId);
+    }
+
+    if (comment.parent) {
+      const parent = await Comment.findById(comment.parent).select('user');
+      if (parent) {
+        await notifyUsers([parent.user], {
+          type: 'comment_reply',
+          report: report._id,
+          title: `New reply to your comment on ${reportName(report)}`,
+          message: comment.text,
+          data: { commentId: comment._id, parentId: comment.parent }
+        }, actorId);
+      }
+    }
+  });
+
+  onEvent(EVENTS.ASSIGNED, ({ report, department, actorId }) => notifyUsers([report.user], {
+    type: 'department_assigned',
+    report: report._id,
+    title: `Your report ${reportName(report)} was assigned to ${department}`,
+    data: { department }
+  }, actorId));
+
+  onEvent(EVENTS.MERGED, ({ report, canonical, actorId }) => notifyUsers([report.user], {
+    type: 'merged_duplicate',
+    report: report._id,
+    title: `Your report ${reportName(report)} was merged into an existing report`,
+    message: 'Progress on the issue will be tracked on the original report.',
+    data: { canonicalId: canonical._id }
+  }, actorId));
+
+  onEvent(EVENTS.FLAGGED, ({ report }) => notifyUsers([report.user], {
+    type: 'ai_flagged',
+    report: report._id,
+    title: `Your report ${reportName(report)} has been flagged for review`,
+    message: (report.aiFlags?.flagReasons || []).join('; '),
+    data: { flagReasons: report.aiFlags?.flagReasons || [] }
+  }));
+
+  onEvent(EVENTS.ESCALATED, async ({ report, escalation }) => {
+    if (!report.department) return;
+    const members = await User.find({ department: report.department }).select('_id').lean();
+    await notifyUsers(members.map(m => m._id), {
+      type: 'sla_breached',
+      report: report._id,
+      title: `Report ${reportName(report)} is overdue`,
+      message: `Escalated to level ${escalation.level}, priority ${escalation.priority}`,
+      data: { level: escalation.level, priority: escalation.priority }
+    });
+  });
+}
+
+module.exports = { notifyUsers, reportAudience, registerNotificationHandlers };
@@ -0,0 +1,224 @@
+/**
+ * CivicSync Priority Engine
+ *
+ * Computes a 0-100 urgency score for a report from weighted factors, each
+ * normalised to 0-1:
+ *
+ *  - severity:    citizen-reported severity (1-5)
+ *  - credibility: aiFlags.credibilityScore
+ *  - community:   upvotes, on a log scale
+ *  - category:    risk weight of the category (Public Safety, Electricity, ...)
+ *  - proximity:   closeness to a school, hospital or other sensitive place
+ *  - age:         how long the issue has been open
+ *
+ * The score and its breakdown are stored on the report and refreshed on
+ * report events, plus a periodic sweep so age keeps counting.
+ */
+
+const Report = require('../models/Report');
+const SensitivePlace = require('../models/SensitivePlace');
+const { OPEN_STATUSES } = require('./workflow');
+const { EVENTS, onEvent } = require('./events');
+
+const FACTOR_WEIGHTS = {
+  severity: 25,
+  credibility: 15,
+  community: 20,
+  category: 15,
+  proximity: 15,
+  age: 10
+};
+
+// Risk weight per category; anything not listed uses DEFAULT_CATEGORY_RISK
+const CATEGORY_RISK = {
+  'Public Safety': 1,
+  'Electricity': 0.9,
+  'Building & Infrastructure': 0.8,
+  'Traffic & Signals': 0.75,
+  'Water & Utilities': 0.7,
+  'Drainage & Sewage': 0.7,
+  'Mosquito & Pest Control': 0.65,
+  'Roads & Potholes': 0.6,
+  'Street Lighting': 0.6,
+  'Garbage & Waste': 0.5,
+  'Encroachment': 0.35,
+  'Parks & Public Spaces': 0.3,
+  'Noise Pollution': 0.3
+};
+const DEFAULT_CATEGORY_RISK = 0.4;
+
+const DEFAULT_SEVERITY = 3;
+const DEFAULT_CREDIBILITY = 0.5;
+const COMMUNITY_SATURATION = 50; // Upvotes at which the community factor maxes out
+const AGE_SATURATION_DAYS = 14;
+const MAX_PLACE_RADIUS_METERS = 2000; // Largest SensitivePlace.radiusMeters
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.URGENCY_SWEEP_INTERVAL_MINUTES) || 360) * 60 * 1000;
+const SCORE_FIELDS = 'category severity aiFlags.credibilityScore upvoteCount location createdAt status';
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Closeness to the nearest sensitive place whose radius covers the report
+ *
+ * @returns {{ value: number, place: Object|null }}
+ */
+async function proximityFactor(report) {
+  const coordinates = report.location?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return { value: 0, place: null };
+
+  const nearby = await SensitivePlace.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        maxDistance: MAX_PLACE_RADIUS_METERS,
+        spherical: true
+      }
+    },
+    // Keep every place whose radius covers the report, however far down the distance order
+    { $match: { $expr: { $lt: ['$distance', '$radiusMeters'] } } }
+  ]);
+
+  let best = { value: 0, place: null };
+  for (const place of nearby) {
+    const value = clamp01(1 - place.distance / place.radiusMeters);
+    if (value > best.value) {
+      best = {
+        value,
+        place: { id: place._id, name: place.name, kind: place.kind, distanceMeters: Math.round(place.distance) }
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Urgency score and factor breakdown for a report
+ *
+ * @param {Object} report - Report with the SCORE_FIELDS loaded
+ * @param {Object} proximity - Result of proximityFactor
+ * @param {Date} [now]
+ */
+function computeUrgency(report, proximity = { value: 0, place: null }, now = new Date()) {
+  const ageDays = Math.max(0, (now - new Date(report.createdAt)) / 86400000);
+  const factors = {
+    severity: clamp01((report.severity || DEFAULT_SEVERITY) / 5),
+    credibility: clamp01(report.aiFlags?.credibilityScore ?? DEFAULT_CREDIBILITY),
+    community: clamp01(Math.log1p(report.upvoteCount || 0) / Math.log1p(COMMUNITY_SATURATION)),
+    category: CATEGORY_RISK[report.category] ?? DEFAULT_CATEGORY_RISK,
+    proximity: proximity.value,
+    age: clamp01(ageDays / AGE_SATURATION_DAYS)
+  };
+
+  const score = Object.entries(FACTOR_WEIGHTS)
+    .reduce((sum, [name, weight]) => sum + weight * factors[name], 0);
+
+  const rounded = Object.fromEntries(
+    Object.entries(factors).map(([name, value]) => [name, Math.round(value * 1000) / 1000])
+  );
+
+  return {
+    score: Math.round(score * 10) / 10,
+    factors: { ...rounded, nearestPlace: proximity.place }
+  };
+}
+
+const scoreUpdate = async (report, now) => {
+  const { score, factors } = computeUrgency(report, await proximityFactor(report), now);
+  return { urgencyScore: score, urgencyFactors: factors, urgencyUpdatedAt: now };
+};
+
+/**
+ * Recompute and store the urgency of one report
+ */
+async function refreshUrgency(reportId, now = new Date()) {
+  const report = await Report.findById(reportId).select(SCORE_FIELDS);
+  if (!report) return null;
+
+  const update = await scoreUpdate(report, now);
+  await Report.updateOne({ _id: report._id }, { $set: update });
+  return update;
+}
+
+/**
+ * Recompute urgency for open reports (optionally limited by an extra filter)
+ */
+async function runUrgencySweep(filter = {}, now = new Date()) {
+  const cursor = Report.find({ status: { $in: OPEN_STATUSES }, ...filter })
+    .select(SCORE_FIELDS)
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const report of cursor) {
+    await Report.updateOne({ _id: report._id }, { $set: await scoreUpdate(report, now) });
+    updated++;
+  }
+  return { updated };
+}
+
+/**
+ * Re-score open reports around a sensitive place after it is added, moved or removed
+ */
+function refreshUrgencyNear(place) {
+  const [lng, lat] = place.location.coordinates;
+  return runUrgencySweep({
+    'location.coordinates': {
+      $geoWithin: { $centerSphere: [[lng, lat], MAX_PLACE_RADIUS_METERS / 6378100] }
+    }
+  });
+}
+
+function registerPriorityHandlers() {
+  [EVENTS.REPORT_CREATED, EVENTS.UPVOTED, EVENTS.FLAGGED, EVENTS.STATUS_CHANGED].forEach(event =>
+    onEvent(event, ({ report }) => refreshUrgency(report._id)));
+}
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Run a full urgency sweep in the background unless one is already running
+ *
+ * @returns {boolean} - Whether a new sweep was started
+ */
+function startUrgencySweep() {
+  if (sweepRunning) return false;
+  sweepRunning = true;
+  runUrgencySweep()
+    .catch(error => console.error('❌ Urgency sweep failed:', error.message))
+    .finally(() => { sweepRunning = false; });
+  return true;
+}
+
+/**
+ * Start the background urgency sweep. Safe to call more than once.
+ * Sweeps once right away so reports saved before the engine existed get a score.
+ */
+function startPriorityScheduler() {
+  if (sweepTimer) return sweepTimer;
+  startUrgencySweep();
+  sweepTimer = setInterval(startUrgencySweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  return sweepTimer;
+}
+
+function stopPriorityScheduler() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  CATEGORY_RISK,
+  computeUrgency,
+  proximityFactor,
+  refreshUrgency,
+  runUrgencySweep,
+  startUrgencySweep,
+  refreshUrgencyNear,
+  registerPriorityHandlers,
+  startPriorityScheduler,
+  stopPriorityScheduler
+};
@@ -0,0 +1,144 @@
+/**
+ * CivicSync Real-Time Stream
+ *
+ * Pushes report events to connected clients over Server-Sent Events.
+ * Admins receive every event; department officers and field workers
+ * receive events for reports in their scope; citizens receive events for
+ * reports they own or follow. Clients can narrow the stream to a department or ward.
+ */
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const { EVENTS, onEvent, serializeEvent } = require('./events');
+
+// Events relayed to stream clients
+const STREAM_EVENTS = [
+  EVENTS.REPORT_CREATED,
+  EVENTS.STATUS_CHANGED,
+  EVENTS.COMMENTED,
+  EVENTS.FLAGGED
+];
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+let nextEventId = 1;
+
+const sameId = (a, b) => a != null && b != null && String(a._id || a) === String(b._id || b);
+
+const STAFF_ROLES = ['admin', 'department_officer', 'field_worker'];
+
+/**
+ * Whether a user may see events for a report
+ *
+ * @param {Object} user - Connected user
+ * @param {Object} report - Report the event is about
+ * @param {Set<string>} followers - IDs of users following the report
+ */
+function canSee(user, report, followers = new Set()) {
+  switch (user.role) {
+    case 'admin':
+      return true;
+    case 'department_officer':
+      return sameId(report.department, user.department);
+    case 'field_worker':
+      return sameId(report.assignedTo, user._id);
+    default:
+      return sameId(report.user, user._id) || followers.has(String(user._id));
+  }
+}
+
+/**
+ * Whether a report matches a client's department/ward filters.
+ * The department filter accepts either a department ID or its name.
+ */
+function matchesFilters(filters, report) {
+  if (filters.department) {
+    const byId = mongoose.Types.ObjectId.isValid(filters.department) && sameId(report.department, filters.department);
+    const byName = (report.assignedDepartment || '').toLowerCase() === filters.department.toLowerCase();
+    if (!byId && !byName) return false;
+  }
+  if (filters.ward && (report.ward || '').toLowerCase() !== filters.ward.toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+const write = (res, event, data, id) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Attach an SSE response to the stream until the client disconnects
+ *
+ * @param {Object} req - Express request with an authenticated user
+ * @param {Object} res - Express response
+ * @param {Object} filters - { department, ward }
+ */
+function addClient(req, res, filters) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  write(res, 'connected', { user: req.user._id, role: req.user.role, filters });
+
+  const client = { user: req.user, filters, res };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+  return client;
+}
+
+/**
+ * Send an event to every client allowed to see the report
+ */
+async function broadcast(event, payload) {
+  const { report } = payload;
+  if (!report || !clients.size) return 0;
+
+  // Followers are only needed when citizens are listening
+  let followers = new Set();
+  if ([...clients].some(client => !STAFF_ROLES.includes(client.user.role))) {
+    const stored = await Report.findById(report._id).select('followers').lean();
+    followers = new Set((stored?.followers || []).map(String));
+  }
+
+  const data = serializeEvent(event, payload);
+  const id = nextEventId++;
+  let sent = 0;
+  for (const client of clients) {
+    if (!canSee(client.user, report, followers) || !matchesFilters(client.filters, report)) continue;
+    write(client.res, event, data, id);
+    sent++;
+  }
+  return sent;
+}
+
+function registerRealtimeHandlers() {
+  STREAM_EVENTS.forEach(event => onEvent(event, (payload) => {
+    // Held comments are relayed when a moderator approves them
+    if (event === EVENTS.COMMENTED && payload.comment.moderationStatus !== 'approved') return;
+    return broadcast(event, payload);
+  }));
+}
+
+const connectedClients = () => clients.size;
+
+module.exports = {
+  STREAM_EVENTS,
+  canSee,
+  matchesFilters,
+  addClient,
+  broadcast,
+  registerRealtimeHandlers,
+  connectedClients
+};
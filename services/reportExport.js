@@ -0,0 +1,273 @@
+/**
+ * CivicSync Report Export
+ *
+ * Streams filtered report sets to GIS formats. Reports are read through a
+ * MongoDB cursor and written out one at a time, so large exports never sit in
+ * memory in full.
+ *
+ *  - GeoJSON: a FeatureCollection of Point features; reports without
+ *    coordinates are listed by id in a trailing `unmapped` member
+ *  - KML: Placemarks in a "Reports" folder; reports without coordinates are
+ *    read through a second cursor into an "Unmapped reports" folder without geometry
+ *  - CSV / XLSX: one row per report with selectable columns
+ */
+
+const ExcelJS = require('exceljs');
+
+// Fields read from MongoDB for an export row
+const EXPORT_FIELDS = 'title category status priority severity assignedDepartment ward address aiFlags location createdAt dueAt isOverdue upvoteCount commentCount resolvedAt statusHistory';
+
+/**
+ * Date a report was last resolved, if it is currently resolved
+ */
+function resolvedAt(report) {
+  if (report.status !== 'resolved') return null;
+  if (report.resolvedAt) return report.resolvedAt;
+  const entry = [...(report.statusHistory || [])].reverse().find(h => h.to === 'resolved');
+  return entry ? entry.changedAt : null;
+}
+
+/**
+ * The curated set of properties published with every exported report
+ */
+function exportProperties(report) {
+  return {
+    id: report._id.toString(),
+    title: report.title || null,
+    category: report.category,
+    status: report.status,
+    priority: report.priority,
+    severity: report.severity ?? null,
+    department: report.assignedDepartment || 'Unassigned',
+    ward: report.ward || null,
+    credibilityScore: report.aiFlags?.credibilityScore ?? null,
+    createdAt: report.createdAt ? new Date(report.createdAt).toISOString() : null,
+    dueAt: report.dueAt ? new Date(report.dueAt).toISOString() : null,
+    resolvedAt: resolvedAt(report) ? new Date(resolvedAt(report)).toISOString() : null
+  };
+}
+
+const hasCoordinates = (report) => Array.isArray(report.location?.coordinates)
+  && report.location.coordinates.length === 2;
+
+// Filter matching the reports hasCoordinates rejects
+const UNMAPPED_FILTER = { $nor: [{ 'location.coordinates': { $size: 2 } }] };
+
+// Write a chunk, waiting for the socket to drain when its buffer is full.
+// Gives up quietly once the client has gone; callers check res.destroyed.
+async function write(res, chunk) {
+  if (res.destroyed || res.writableEnded) return;
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
+/**
+ * Stream a cursor of reports as a GeoJSON FeatureCollection
+ */
+async function streamGeoJSON(cursor, res) {
+  const unmapped = [];
+  let first = true;
+
+  await write(res, '{"type":"FeatureCollection","features":[');
+  for await (const report of cursor) {
+    if (res.destroyed) break;
+    if (!hasCoordinates(report)) {
+      unmapped.push(report._id.toString());
+      continue;
+    }
+    const feature = {
+      type: 'Feature',
+      id: report._id.toString(),
+      geometry: { type: 'Point', coordinates: report.location.coordinates },
+      properties: exportProperties(report)
+    };
+    await write(res, (first ? '' : ',') + JSON.stringify(feature));
+    first = false;
+  }
+  res.end(`],"unmapped":${JSON.stringify(unmapped)}}`);
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+function kmlPlacemark(report) {
+  const props = exportProperties(report);
+  const data = Object.entries(props)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+  const point = hasCoordinates(report)
+    ? `<Point><coordinates>${report.location.coordinates[0]},${report.location.coordinates[1]}</coordinates></Point>`
+    : '';
+
+  return `<Placemark id="${props.id}"><name>${escapeXml(props.title || props.category)}</name>`
+    + `<ExtendedData>${data}</ExtendedData>${point}</Placemark>\n`;
+}
+
+/**
+ * Stream a cursor of reports as a KML document
+ *
+ * @param {Object} cursor - Reports to export; unmapped ones are skipped here
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Function} options.openUnmappedCursor - Opens a cursor over the same
+ *   export limited to reports without coordinates
+ */
+async function streamKML(cursor, res, { openUnmappedCursor }) {
+  await write(res, '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>CivicSync reports</name>\n'
+    + '<Folder><name>Reports</name>\n');
+
+  for await (const report of cursor) {
+    if (res.destroyed) break;
+    if (!hasCoordinates(report)) continue;
+    await write(res, kmlPlacemark(report));
+  }
+  await write(res, '</Folder>\n');
+
+  const unmapped = openUnmappedCursor();
+  try {
+    let opened = false;
+    for await (const report of unmapped) {
+      if (res.destroyed) break;
+      if (!opened) {
+        await write(res, '<Folder><name>Unmapped reports</name>\n');
+        opened = true;
+      }
+      await write(res, kmlPlacemark(report));
+    }
+    if (opened) await write(res, '</Folder>\n');
+  } finally {
+    await unmapped.close().catch(() => {});
+  }
+
+  if (!res.destroyed) res.end('</Document></kml>\n');
+}
+
+const isoDate = (value) => value ? new Date(value).toISOString() : null;
+
+const hoursBetween = (start, end) => (start && end)
+  ? parseFloat(((new Date(end) - new Date(start)) / 3600000).toFixed(1))
+  : null;
+
+// Spreadsheet columns, in default order: key -> { header, value(report) }
+const TABLE_COLUMNS = {
+  id: { header: 'Report ID', value: r => r._id.toString() },
+  title: { header: 'Title', value: r => r.title },
+  category: { header: 'Category', value: r => r.category },
+  status: { header: 'Status', value: r => r.status },
+  priority: { header: 'Priority', value: r => r.priority },
+  severity: { header: 'Severity', value: r => r.severity },
+  department: { header: 'Assigned Department', value: r => r.assignedDepartment || 'Unassigned' },
+  ward: { header: 'Ward', value: r => r.ward },
+  address: { header: 'Address', value: r => r.address },
+  latitude: { header: 'Latitude', value: r => hasCoordinates(r) ? r.location.coordinates[1] : null },
+  longitude: { header: 'Longitude', value: r => hasCoordinates(r) ? r.location.coordinates[0] : null },
+  createdAt: { header: 'Created At', value: r => isoDate(r.createdAt) },
+  dueAt: { header: 'Due At', value: r => isoDate(r.dueAt) },
+  isOverdue: { header: 'Overdue', value: r => !!r.isOverdue },
+  resolvedAt: { header: 'Resolved At', value: r => isoDate(resolvedAt(r)) },
+  resolutionHours: { header: 'Resolution Time (h)', value: r => hoursBetween(r.createdAt, resolvedAt(r)) },
+  upvoteCount: { header: 'Upvotes', value: r => r.upvoteCount || 0 },
+  commentCount: { header: 'Comments', value: r => r.commentCount || 0 },
+  isFlagged: { header: 'AI Flagged', value: r => !!r.aiFlags?.isFlagged },
+  flagReasons: { header: 'AI Flag Reasons', value: r => (r.aiFlags?.flagReasons || []).join('; ') },
+  descriptionMatchScore: { header: 'AI Description Match Score', value: r => r.aiFlags?.descriptionMatchScore },
+  descriptionMatchLevel: { header: 'AI Description Match Level', value: r => r.aiFlags?.descriptionMatchLevel },
+  categoryMatch: { header: 'AI Category Match', value: r => r.aiFlags?.categoryMatch },
+  locationVerified: { header: 'AI Location Verified', value: r => r.aiFlags?.locationVerified },
+  locationDistance: { header: 'AI Location Distance (km)', value: r => r.aiFlags?.locationDistance },
+  imageTrust: { header: 'AI Image Trust', value: r => r.aiFlags?.imageTrust },
+  isDuplicate: { header: 'AI Possible Duplicate', value: r => r.aiFlags?.isDuplicate },
+  duplicateOf: { header: 'AI Duplicate Of', value: r => r.aiFlags?.duplicateOf?.toString() },
+  credibilityScore: { header: 'AI Credibility Score', value: r => r.aiFlags?.credibilityScore }
+};
+
+/**
+ * Parse a comma-separated column selection, defaulting to every column
+ *
+ * @returns {{ columns?: string[], error?: string }}
+ */
+function parseColumns(selection) {
+  if (!selection) return { columns: Object.keys(TABLE_COLUMNS) };
+  const columns = String(selection).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = columns.filter(c => !TABLE_COLUMNS[c]);
+  if (unknown.length) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Available: ${Object.keys(TABLE_COLUMNS).join(', ')}` };
+  }
+  return { columns };
+}
+
+// Spreadsheet apps run CSV text starting with these as a formula; citizen-entered
+// text is prefixed with an apostrophe so it is shown literally instead. XLSX
+// needs no such prefix: exceljs writes strings as text cells, never formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream a cursor of reports as CSV
+ */
+async function streamCSV(cursor, res, { columns }) {
+  // BOM so Excel opens UTF-8 (Hindi addresses) correctly
+  await write(res, '\uFEFF' + columns.map(c => csvCell(TABLE_COLUMNS[c].header)).join(',') + '\r\n');
+  for await (const report of cursor) {
+    if (res.destroyed) break;
+    await write(res, columns.map(c => csvCell(TABLE_COLUMNS[c].value(report))).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+/**
+ * Stream a cursor of reports as an XLSX workbook
+ */
+async function streamXLSX(cursor, res, { columns }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Reports');
+  sheet.columns = columns.map(c => ({ header: TABLE_COLUMNS[c].header, key: c, width: 20 }));
+
+  for await (const report of cursor) {
+    if (res.destroyed) break;
+    const row = {};
+    columns.forEach(c => { row[c] = TABLE_COLUMNS[c].value(report); });
+    sheet.addRow(row).commit();
+  }
+
+  // The writer waits for the stream to finish, which never happens once the client is gone
+  if (res.destroyed) return;
+  sheet.commit();
+  await Promise.race([workbook.commit(), new Promise(resolve => res.once('close', resolve))]);
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  UNMAPPED_FILTER,
+  TABLE_COLUMNS,
+  resolvedAt,
+  exportProperties,
+  parseColumns,
+  streamGeoJSON,
+  streamKML,
+  streamCSV,
+  streamXLSX
+};
@@ -0,0 +1,140 @@
+/**
+ * CivicSync Report Merging
+ *
+ * Folds duplicate reports into a canonical report: upvotes, comments and photos
+ * move across, the duplicates are closed as 'duplicate' and linked back to the
+ * canonical report, and they follow it when it is resolved.
+ */
+
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Comment = require('../models/Comment');
+const Upvote = require('../models/Upvote');
+const { validateTransition } = require('./workflow');
+const { EVENTS, emitEvent } = require('./events');
+
+/**
+ * Merge duplicate reports into a canonical report
+ *
+ * @param {Object} canonical - Canonical report document
+ * @param {string[]} duplicateIds - Ids of the reports to fold in
+ * @param {Object} actor - User performing the merge (needs `id` and `role`)
+ * @returns {{ canonical: Object, results: Object[] }} - Per-report outcome
+ */
+async function mergeReports(canonical, duplicateIds, actor) {
+  const uniqueIds = [...new Set(duplicateIds.map(String))];
+
+  // Reject malformed ids before anything is changed
+  const results = uniqueIds
+    .filter(id => !mongoose.Types.ObjectId.isValid(id))
+    .map(id => ({ reportId: id, success: false, message: 'Invalid report id' }));
+
+  let copiedUpvotes = 0;
+  let movedComments = 0;
+
+  for (const id of uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id))) {
+    if (id === canonical._id.toString()) {
+      results.push({ reportId: id, success: false, message: 'Cannot merge a report into itself' });
+      continue;
+    }
+
+    const duplicate = await Report.findById(id);
+    if (!duplicate) {
+      results.push({ reportId: id, success: false, message: 'Report not found' });
+      continue;
+    }
+
+    const check = validateTransition(duplicate, 'duplicate', actor.role, { duplicateOf: canonical._id });
+    if (!check.ok) {
+      results.push({ reportId: id, success: false, message: check.message });
+      continue;
+    }
+
+    // Copy upvotes across, skipping users who already upvoted the canonical report
+    const votes = await Upvote.find({ report: duplicate._id }).select('user createdAt').lean();
+    if (votes.length) {
+      const copied = await Upvote.bulkWrite(votes.map(vote => ({
+        updateOne: {
+          filter: { report: canonical._id, user: vote.user },
+          update: { $setOnInsert: { createdAt: vote.createdAt } },
+          upsert: true
+        }
+      })));
+      copiedUpvotes += copied.upsertedCount;
+    }
+
+    const moved = await Comment.updateMany(
+      { report: duplicate._id },
+      { report: canonical._id, mergedFrom: duplicate._id }
+    );
+    if (moved.modifiedCount) {
+      movedComments += duplicate.commentCount;
+      duplicate.commentCount = 0;
+    }
+
+    [duplicate.imageUrl, ...(duplicate.additionalImages || [])]
+      .filter(url => url && url !== canonical.imageUrl && !canonical.additionalImages.includes(url))
+      .forEach(url => canonical.additionalImages.push(url));
+
+    canonical.mergedReports.addToSet(duplicate._id);
+
+    duplicate.duplicateOf = canonical._id;
+    duplicate.recordStatusChange('duplicate', actor.id, `Merged into report ${canonical._id}`);
+    // The merge event below tells the author what happened
+    duplicate.$locals.suppressStatusEvent = true;
+    await duplicate.save();
+
+    emitEvent(EVENTS.MERGED, { report: duplicate, canonical, actorId: actor.id });
+    results.push({ reportId: id, success: true });
+  }
+
+  await canonical.save();
+
+  // Applied with $inc rather than through save() so concurrent upvotes and comments are not overwritten
+  if (copiedUpvotes || movedComments) {
+    const counted = await Report.findByIdAndUpdate(
+      canonical._id,
+      { $inc: { upvoteCount: copiedUpvotes, commentCount: movedComments } },
+      { new: true }
+    ).select('upvoteCount commentCount');
+    ['upvoteCount', 'commentCount'].forEach(field => {
+      canonical.set(field, counted[field]);
+      canonical.unmarkModified(field);
+    });
+  }
+
+  if (copiedUpvotes) {
+    emitEvent(EVENTS.UPVOTED, { report: canonical, upvoted: true, actorId: actor.id });
+  }
+
+  return { canonical, results };
+}
+
+/**
+ * Resolve every duplicate linked to a canonical report that has just been resolved
+ *
+ * @param {Object} canonical - The resolved canonical report
+ * @param {Object} actor - User who resolved it (needs `id` and `role`)
+ * @returns {number} - Number of duplicates resolved
+ */
+async function resolveLinkedDuplicates(canonical, actor) {
+  const duplicates = await Report.find({ duplicateOf: canonical._id, status: 'duplicate' });
+
+  let resolved = 0;
+  for (const duplicate of duplicates) {
+    const check = validateTransition(duplicate, 'resolved', actor.role, { afterImageUrl: canonical.afterImageUrl });
+    if (!check.ok) {
+      console.warn(`⚠️ Linked duplicate ${duplicate._id} not resolved: ${check.message}`);
+      continue;
+    }
+
+    duplicate.afterImageUrl = canonical.afterImageUrl;
+    duplicate.recordStatusChange('resolved', actor.id, `Resolved with canonical report ${canonical._id}`);
+    await duplicate.save();
+    resolved++;
+  }
+
+  return resolved;
+}
+
+module.exports = { mergeReports, resolveLinkedDuplicates };
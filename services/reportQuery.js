@@ -0,0 +1,153 @@
+/**
+ * CivicSync Report Query Layer
+ *
+ * Turns listing query-string parameters into a MongoDB filter, sort and page.
+ * Shared by every endpoint that lists reports so filters behave the same everywhere.
+ *
+ * Supported parameters:
+ *  - status, category, priority: single value or comma-separated list
+ *  - department: department id or name ('Unassigned' for none)
+ *  - ward: ward name, single value or comma-separated list
+ *  - from, to: createdAt date range (ISO dates)
+ *  - flagged: 'true' / 'false' on aiFlags.isFlagged
+ *  - owner: id of the reporting user
+ *  - sort: newest | oldest | upvotes | hot | urgency | severity | oldest-unresolved
+ *  - page, limit: page-based pagination
+ */
+
+const mongoose = require('mongoose');
+const { OPEN_STATUSES } = require('./workflow');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_MODES = {
+  'newest': { createdAt: -1, _id: -1 },
+  'oldest': { createdAt: 1, _id: 1 },
+  'upvotes': { upvoteCount: -1, createdAt: -1, _id: -1 },
+  'hot': { hotScore: -1, createdAt: -1, _id: -1 },
+  'urgency': { urgencyScore: -1, createdAt: 1, _id: 1 },
+  'severity': { severity: -1, createdAt: -1, _id: -1 },
+  'oldest-unresolved': { createdAt: 1, _id: 1 }
+};
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && /^[a-f\d]{24}$/i.test(value);
+
+// 'a,b' -> { $in: ['a', 'b'] }, 'a' -> 'a'
+const listParam = (value) => {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the MongoDB filter for a set of query parameters
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{ filter?: Object, error?: string }}
+ */
+function buildReportFilter(query = {}) {
+  const filter = {};
+
+  if (query.status) filter.status = listParam(query.status);
+  if (query.category) filter.category = listParam(query.category);
+  if (query.priority) filter.priority = listParam(query.priority);
+  if (query.ward) filter.ward = listParam(query.ward);
+
+  if (query.department) {
+    if (isObjectId(query.department)) filter.department = query.department;
+    else filter.assignedDepartment = query.department;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = parseDate(query.from);
+      if (!from) return { error: `Invalid 'from' date: ${query.from}` };
+      filter.createdAt.$gte = from;
+    }
+    if (query.to) {
+      const to = parseDate(query.to);
+      if (!to) return { error: `Invalid 'to' date: ${query.to}` };
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  if (query.flagged === 'true') filter['aiFlags.isFlagged'] = true;
+  else if (query.flagged === 'false') filter['aiFlags.isFlagged'] = { $ne: true };
+
+  if (query.owner) {
+    if (!isObjectId(query.owner)) return { error: `Invalid owner id: ${query.owner}` };
+    filter.user = query.owner;
+  }
+
+  if (query.sort === 'oldest-unresolved' && !filter.status) {
+    filter.status = { $in: OPEN_STATUSES };
+  }
+
+  return { filter };
+}
+
+/**
+ * Parse filters, sort mode and page from query parameters
+ *
+ * @param {Object} query - Express req.query
+ * @param {Object} [options]
+ * @param {number} [options.maxLimit] - Largest page size allowed (map views need more than lists)
+ * @returns {{ filter?: Object, sort?: Object, page?: number, limit?: number, error?: string }}
+ */
+function parseReportQuery(query = {}, { maxLimit = MAX_LIMIT } = {}) {
+  const { filter, error } = buildReportFilter(query);
+  if (error) return { error };
+
+  const sortMode = query.sort || 'newest';
+  if (!SORT_MODES[sortMode]) {
+    return { error: `Unknown sort '${sortMode}'. Use one of: ${Object.keys(SORT_MODES).join(', ')}` };
+  }
+
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+
+  return { filter, sort: SORT_MODES[sortMode], sortMode, page, limit };
+}
+
+/**
+ * Run a paginated report query
+ *
+ * @param {Object} Model - Report model
+ * @param {Object} parsed - Result of parseReportQuery (filter may be extended by the caller)
+ * @param {Function} [decorate] - Adds populate/select calls to the find query
+ * @returns {{ data: Object[], pagination: Object }}
+ */
+async function paginateReports(Model, { filter, sort, page, limit }, decorate = q => q) {
+  const [total, data] = await Promise.all([
+    Model.countDocuments(filter),
+    decorate(Model.find(filter).sort(sort).skip((page - 1) * limit).limit(limit))
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      nextPage: page < totalPages ? page + 1 : null,
+      prevPage: page > 1 ? page - 1 : null
+    }
+  };
+}
+
+module.exports = {
+  SORT_MODES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildReportFilter,
+  parseReportQuery,
+  paginateReports
+};
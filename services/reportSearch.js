@@ -0,0 +1,126 @@
+/**
+ * CivicSync Report Search
+ *
+ * Keyword search across report titles, descriptions, addresses and comments.
+ * MongoDB narrows the candidates with a regex over the synonym-expanded query
+ * terms, then the TextSimilarityEngine ranks them by TF-IDF cosine similarity.
+ */
+
+const Report = require('../models/Report');
+const Comment = require('../models/Comment');
+const TextSimilarityEngine = require('../ai/textSimilarity');
+
+const textEngine = new TextSimilarityEngine();
+
+const MAX_CANDIDATES = 500;   // Reports pulled from MongoDB before ranking
+const MIN_SCORE = 0.01;       // Drop candidates that only matched on noise
+
+const SEARCH_FIELDS = ['title', 'description', 'address'];
+
+const searchableText = (report) => [
+  report.title,
+  report.description,
+  report.address,
+  ...(report.comments || []).map(c => c.text)
+].filter(Boolean).join(' ');
+
+// Group visible comment texts by report id
+async function commentsByReport(reportIds) {
+  const comments = await Comment.find({ report: { $in: reportIds }, isDeleted: false, moderationStatus: 'approved' })
+    .select('report text')
+    .lean();
+  const grouped = new Map();
+  comments.forEach(c => {
+    const key = c.report.toString();
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(c);
+  });
+  return grouped;
+}
+
+/**
+ * Build highlighted snippets for every field that matched
+ */
+function buildHighlights(report, terms) {
+  const highlights = {};
+  ['title', 'description', 'address'].forEach(field => {
+    const snippet = textEngine.highlight(report[field], terms);
+    if (snippet) highlights[field] = snippet;
+  });
+
+  const comments = (report.comments || [])
+    .map(c => textEngine.highlight(c.text, terms))
+    .filter(Boolean);
+  if (comments.length) highlights.comments = comments;
+
+  return highlights;
+}
+
+/**
+ * Search reports
+ *
+ * @param {string} q - Free-text query
+ * @param {Object} filter - Additional MongoDB filter (status, category, scope...)
+ * @param {Object} page - { page, limit }
+ * @returns {{ data: Object[], pagination: Object, terms: string[] }}
+ */
+async function searchReports(q, filter, { page, limit }) {
+  const terms = textEngine.searchTerms(q);
+  if (!terms.length) {
+    return { data: [], terms, pagination: { total: 0, page, limit, totalPages: 0, nextPage: null, prevPage: null } };
+  }
+
+  const regex = new RegExp(`\\b(?:${terms.join('|')})`, 'i');
+  const commentMatches = (await Comment.find({ text: regex, isDeleted: false, moderationStatus: 'approved' })
+    .select('report')
+    .limit(MAX_CANDIDATES)
+    .lean()).map(c => c.report);
+
+  const candidates = await Report.find({
+    ...filter,
+    $or: [
+      ...SEARCH_FIELDS.map(field => ({ [field]: regex })),
+      { _id: { $in: commentMatches } }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .populate('user', 'username profilePhoto')
+    .lean();
+
+  const comments = await commentsByReport(candidates.map(c => c._id));
+  candidates.forEach(c => { c.comments = comments.get(c._id.toString()) || []; });
+
+  const scores = textEngine.computeSimilarities(q, candidates.map(searchableText));
+
+  const ranked = candidates
+    .map((report, idx) => ({ report, score: scores[idx] }))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.report.createdAt - a.report.createdAt);
+
+  const total = ranked.length;
+  const totalPages = Math.ceil(total / limit);
+  const data = ranked.slice((page - 1) * limit, page * limit).map(({ report, score }) => {
+    const { comments, ...rest } = report;
+    return {
+      ...rest,
+      relevance: parseFloat(score.toFixed(3)),
+      highlights: buildHighlights(report, terms)
+    };
+  });
+
+  return {
+    data,
+    terms,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      nextPage: page < totalPages ? page + 1 : null,
+      prevPage: page > 1 ? page - 1 : null
+    }
+  };
+}
+
+module.exports = { searchReports };
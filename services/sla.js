@@ -0,0 +1,171 @@
+/**
+ * CivicSync SLA Tracking
+ *
+ * Works out when a report is due from the configured SLA policies and runs a
+ * background sweep that marks open reports as overdue and escalates them.
+ */
+
+const Report = require('../models/Report');
+const SlaPolicy = require('../models/SlaPolicy');
+const { OPEN_STATUSES } = require('./workflow');
+const { EVENTS, emitEvent } = require('./events');
+
+// Fallback targets when no policy has been configured
+const DEFAULT_TARGET_HOURS = { high: 48, medium: 120, low: 240 };
+
+// Reports on hold are not on the clock
+const SLA_ACTIVE_STATUSES = OPEN_STATUSES.filter(s => s !== 'on-hold');
+
+const PRIORITY_ORDER = ['low', 'medium', 'high'];
+const MAX_ESCALATION_LEVEL = 3;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Find the target resolution time in hours for a category and priority.
+ * Lookup order: exact category, then the '*' wildcard, then the built-in default.
+ */
+async function getTargetHours(category, priority) {
+  const policies = await SlaPolicy.find({
+    category: { $in: [category, '*'] },
+    priority
+  }).lean();
+
+  const exact = policies.find(p => p.category === category);
+  const wildcard = policies.find(p => p.category === '*');
+  return (exact || wildcard)?.targetHours || DEFAULT_TARGET_HOURS[priority] || DEFAULT_TARGET_HOURS.medium;
+}
+
+/**
+ * Compute the due date for a report starting from a given moment
+ */
+async function computeDueDate(category, priority, from = new Date()) {
+  const hours = await getTargetHours(category, priority);
+  return new Date(from.getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Adjust the SLA clock for a status change. Call before recordStatusChange so
+ * the current status is still the one being left.
+ *
+ *  - into 'reopened': the clock restarts from now and any breach is cleared
+ *  - out of 'on-hold': due dates move forward by the time spent on hold
+ */
+async function applySlaTransition(report, to, now = new Date()) {
+  if (to === report.status) return;
+
+  if (to === 'reopened') {
+    report.dueAt = await computeDueDate(report.category, report.priority, now);
+    report.isOverdue = false;
+    report.nextEscalationAt = undefined;
+    return;
+  }
+
+  if (report.status === 'on-hold') {
+    const held = [...report.statusHistory].reverse().find(entry => entry.to === 'on-hold');
+    const pausedMs = held ? Math.max(0, now - held.changedAt) : 0;
+    if (!pausedMs) return;
+
+    if (report.dueAt) report.dueAt = new Date(report.dueAt.getTime() + pausedMs);
+    if (report.nextEscalationAt) report.nextEscalationAt = new Date(report.nextEscalationAt.getTime() + pausedMs);
+    if (report.isOverdue && report.dueAt > now) {
+      report.isOverdue = false;
+      report.nextEscalationAt = undefined;
+    }
+  }
+}
+
+/**
+ * Tell the assigned department a report has breached its SLA
+ */
+function notifyDepartment(report, escalation) {
+  emitEvent(EVENTS.ESCALATED, { report, escalation });
+}
+
+/**
+ * Escalate a single overdue report: raise its priority and schedule the next check
+ */
+async function escalateReport(report, now = new Date()) {
+  const currentIdx = PRIORITY_ORDER.indexOf(report.priority);
+  const nextPriority = PRIORITY_ORDER[Math.min(currentIdx + 1, PRIORITY_ORDER.length - 1)];
+
+  const escalation = {
+    level: (report.escalationLevel || 0) + 1,
+    fromPriority: report.priority,
+    priority: nextPriority,
+    department: report.assignedDepartment,
+    escalatedAt: now
+  };
+
+  report.isOverdue = true;
+  report.escalationLevel = escalation.level;
+  report.priority = nextPriority;
+  report.escalations.push(escalation);
+  report.nextEscalationAt = escalation.level < MAX_ESCALATION_LEVEL
+    ? await computeDueDate(report.category, nextPriority, now)
+    : null;
+
+  await report.save();
+  notifyDepartment(report, escalation);
+  return report;
+}
+
+/**
+ * Find every open report that has passed its due date (or its next escalation
+ * checkpoint) and escalate it. Returns the number of reports escalated.
+ */
+async function runSlaSweep(now = new Date()) {
+  const overdue = await Report.find({
+    status: { $in: SLA_ACTIVE_STATUSES },
+    $or: [
+      { isOverdue: { $ne: true }, dueAt: { $lte: now } },
+      { isOverdue: true, nextEscalationAt: { $lte: now } }
+    ]
+  });
+
+  let escalated = 0;
+  for (const report of overdue) {
+    try {
+      await escalateReport(report, now);
+      escalated++;
+    } catch (error) {
+      console.error('⚠️ Failed to escalate report', report._id.toString(), error.message);
+    }
+  }
+
+  if (escalated) {
+    console.log(`⏰ SLA sweep escalated ${escalated} report(s)`);
+  }
+  return escalated;
+}
+
+let sweepTimer = null;
+
+/**
+ * Start the background SLA sweep. Safe to call more than once.
+ */
+function startSlaScheduler() {
+  if (sweepTimer) return sweepTimer;
+  sweepTimer = setInterval(() => {
+    runSlaSweep().catch(error => console.error('❌ SLA sweep failed:', error.message));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  console.log(`⏰ SLA scheduler running every ${SWEEP_INTERVAL_MS / 60000} minutes`);
+  return sweepTimer;
+}
+
+function stopSlaScheduler() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  DEFAULT_TARGET_HOURS,
+  SLA_ACTIVE_STATUSES,
+  getTargetHours,
+  computeDueDate,
+  applySlaTransition,
+  escalateReport,
+  runSlaSweep,
+  startSlaScheduler,
+  stopSlaScheduler
+};
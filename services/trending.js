@@ -0,0 +1,167 @@
+/**
+ * CivicSync Hot Ranking
+ *
+ * Scores reports the way social news sites rank stories: recent activity
+ * pushes a report up and age pulls it down.
+ *
+ *   points   = 1 + upvotes + 2 × upvotes(last 24h)
+ *                + 0.5 × comments + comments(last 24h)
+ *                + 0.5 × severity
+ *   hotScore = points / (ageHours + 2) ^ 1.5
+ *
+ * The score is stored on the report so the feed can sort on an index. It is
+ * refreshed whenever a report is created, upvoted, commented on or changes
+ * status, and a periodic sweep re-applies age decay to recently active
+ * reports. Reports outside the open statuses score 0 so they drop out of the
+ * hot feed instead of keeping their last score forever.
+ */
+
+const Report = require('../models/Report');
+const Upvote = require('../models/Upvote');
+const Comment = require('../models/Comment');
+const { OPEN_STATUSES } = require('./workflow');
+const { EVENTS, onEvent } = require('./events');
+
+const VELOCITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const GRAVITY = 1.5;
+const WEIGHTS = {
+  upvote: 1,
+  recentUpvote: 2,
+  comment: 0.5,
+  recentComment: 1,
+  severity: 0.5
+};
+
+// Reports older than this with no recent activity are no longer re-scored
+const SWEEP_WINDOW_DAYS = 30;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.HOT_SCORE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const VISIBLE_COMMENT = { moderationStatus: 'approved', isDeleted: false };
+
+/**
+ * Hot score for a report given its recent activity
+ *
+ * @param {Object} report - Needs createdAt, upvoteCount, commentCount, severity (1-5)
+ * @param {Object} recent - { upvotes, comments } in the velocity window
+ * @param {Date} [now]
+ */
+function computeHotScore(report, recent = {}, now = new Date()) {
+  const points = 1
+    + WEIGHTS.upvote * (report.upvoteCount || 0)
+    + WEIGHTS.recentUpvote * (recent.upvotes || 0)
+    + WEIGHTS.comment * (report.commentCount || 0)
+    + WEIGHTS.recentComment * (recent.comments || 0)
+    + WEIGHTS.severity * (report.severity ? Math.min(5, Math.max(1, report.severity)) : 0);
+
+  const ageHours = Math.max(0, (now - new Date(report.createdAt)) / 3600000);
+  return points / Math.pow(ageHours + 2, GRAVITY);
+}
+
+// reportId -> count of documents created in the velocity window
+const countRecent = async (Model, since, extraMatch, reportIds) => {
+  const match = { createdAt: { $gte: since }, ...extraMatch };
+  if (reportIds) match.report = { $in: reportIds };
+
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$report', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+/**
+ * Recompute and store the hot score of one report
+ */
+async function refreshHotScore(reportId, now = new Date()) {
+  const report = await Report.findById(reportId).select('createdAt upvoteCount commentCount severity status');
+  if (!report) return null;
+
+  if (!OPEN_STATUSES.includes(report.status)) {
+    await Report.updateOne({ _id: report._id }, { $set: { hotScore: 0 } });
+    return 0;
+  }
+
+  const since = new Date(now.getTime() - VELOCITY_WINDOW_MS);
+  const [upvotes, comments] = await Promise.all([
+    Upvote.countDocuments({ report: report._id, createdAt: { $gte: since } }),
+    Comment.countDocuments({ report: report._id, createdAt: { $gte: since }, ...VISIBLE_COMMENT })
+  ]);
+
+  const hotScore = computeHotScore(report, { upvotes, comments }, now);
+  await Report.updateOne({ _id: report._id }, { $set: { hotScore } });
+  return hotScore;
+}
+
+/**
+ * Re-score open reports that are recent or had activity in the velocity window,
+ * and zero any closed report still carrying a score
+ */
+async function runHotScoreSweep(now = new Date()) {
+  // Catches status changes that bypassed the event (merges, direct updates)
+  await Report.updateMany({ status: { $nin: OPEN_STATUSES }, hotScore: { $gt: 0 } }, { $set: { hotScore: 0 } });
+
+  const since = new Date(now.getTime() - VELOCITY_WINDOW_MS);
+  const [recentUpvotes, recentComments] = await Promise.all([
+    countRecent(Upvote, since),
+    countRecent(Comment, since, VISIBLE_COMMENT)
+  ]);
+
+  const activeIds = [...new Set([...recentUpvotes.keys(), ...recentComments.keys()])];
+  const cutoff = new Date(now.getTime() - SWEEP_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const reports = await Report.find({
+    status: { $in: OPEN_STATUSES },
+    $or: [{ createdAt: { $gte: cutoff } }, { _id: { $in: activeIds } }]
+  }).select('createdAt upvoteCount commentCount severity').lean();
+
+  if (!reports.length) return { updated: 0 };
+
+  await Report.bulkWrite(reports.map(report => {
+    const id = report._id.toString();
+    const hotScore = computeHotScore(report, {
+      upvotes: recentUpvotes.get(id),
+      comments: recentComments.get(id)
+    }, now);
+    return { updateOne: { filter: { _id: report._id }, update: { $set: { hotScore } } } };
+  }));
+
+  return { updated: reports.length };
+}
+
+function registerTrendingHandlers() {
+  [EVENTS.REPORT_CREATED, EVENTS.UPVOTED, EVENTS.COMMENTED, EVENTS.STATUS_CHANGED].forEach(event =>
+    onEvent(event, ({ report }) => refreshHotScore(report._id)));
+}
+
+let sweepTimer = null;
+
+const sweep = () => runHotScoreSweep()
+  .catch(error => console.error('❌ Hot score sweep failed:', error.message));
+
+/**
+ * Start the background hot score sweep. Safe to call more than once.
+ * Sweeps once right away so existing reports are ranked before the first tick.
+ */
+function startTrendingScheduler() {
+  if (sweepTimer) return sweepTimer;
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  return sweepTimer;
+}
+
+function stopTrendingScheduler() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  WEIGHTS,
+  GRAVITY,
+  computeHotScore,
+  refreshHotScore,
+  runHotScoreSweep,
+  registerTrendingHandlers,
+  startTrendingScheduler,
+  stopTrendingScheduler
+};
@@ -0,0 +1,46 @@
+/**
+ * CivicSync Upvote Migration
+ *
+ * Upvotes used to be an array of user IDs on each report. This moves any that
+ * are still embedded into the Upvote collection, then removes the array.
+ * The original vote times are unknown, so the report's creation time is used.
+ * Safe to run on every start-up: reports without embedded upvotes are skipped.
+ */
+
+const Report = require('../models/Report');
+const Upvote = require('../models/Upvote');
+
+async function migrateEmbeddedUpvotes() {
+  // Read through the raw collection because `upvotes` is no longer in the schema
+  const cursor = Report.collection.find(
+    { 'upvotes.0': { $exists: true } },
+    { projection: { upvotes: 1, createdAt: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const report of cursor) {
+    const users = [...new Set(report.upvotes.filter(Boolean).map(String))];
+
+    if (users.length) {
+      await Upvote.bulkWrite(users.map(user => ({
+        updateOne: {
+          filter: { report: report._id, user },
+          update: { $setOnInsert: { createdAt: report.createdAt || new Date() } },
+          upsert: true
+        }
+      })));
+    }
+    await Report.collection.updateOne(
+      { _id: report._id },
+      { $unset: { upvotes: '' }, $set: { upvoteCount: users.length } }
+    );
+    migrated += users.length;
+  }
+
+  if (migrated) {
+    console.log(`👍 Migrated ${migrated} embedded upvote(s) to the upvotes collection`);
+  }
+  return migrated;
+}
+
+module.exports = { migrateEmbeddedUpvotes };
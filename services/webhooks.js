@@ -0,0 +1,196 @@
+/**
+ * CivicSync Outbound Webhooks
+ *
+ * Delivers report events to partner endpoints registered by admins.
+ * Every request body is signed with the webhook's secret:
+ *
+ *   X-CivicSync-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Failed deliveries are retried with exponential backoff by a background
+ * sweep. Every attempt is recorded on its WebhookDelivery document.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, WEBHOOK_EVENTS, onEvent, serializeEvent } = require('./events');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_INTERVAL_MS = 30 * 1000;
+const RETRY_BATCH_SIZE = 50;
+// How long a claimed retry is hidden from other sweeps while it is attempted
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a raw body for a given timestamp
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m, ...
+const backoffDelay = (attemptCount) => BASE_BACKOFF_MS * 2 ** (attemptCount - 1);
+
+/**
+ * Make one delivery attempt and record the outcome
+ *
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document including its secret
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CivicSync-Webhooks/1.0',
+        'X-CivicSync-Event': delivery.event,
+        'X-CivicSync-Delivery': delivery._id.toString(),
+        'X-CivicSync-Timestamp': timestamp,
+        'X-CivicSync-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `Endpoint responded with HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = attempt.attemptedAt;
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attemptCount < MAX_ATTEMPTS) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attemptCount));
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  }
+
+  await delivery.save();
+  await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDeliveryAt: attempt.attemptedAt } });
+  return delivery;
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it and try each once
+ */
+async function dispatchEvent(event, payload) {
+  const webhooks = await Webhook.find({ events: event, isActive: true }).select('+secret');
+  if (!webhooks.length) return [];
+
+  const envelope = {
+    event,
+    occurredAt: new Date().toISOString(),
+    data: serializeEvent(event, payload)
+  };
+
+  return Promise.all(webhooks.map(async (webhook) => {
+    const delivery = await WebhookDelivery.create({ webhook: webhook._id, event, payload: envelope });
+    return attemptDelivery(delivery, webhook);
+  }));
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ */
+async function runRetrySweep(now = new Date()) {
+  let retried = 0;
+  for (let i = 0; i < RETRY_BATCH_SIZE; i++) {
+    // Claim one due delivery by pushing its next attempt past the lease, so an
+    // overlapping sweep (or another server) cannot pick it up as well
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      delivery.attempts.push({ error: 'Webhook was removed or disabled' });
+      await delivery.save();
+      continue;
+    }
+    await attemptDelivery(delivery, webhook);
+    retried++;
+  }
+  return { retried };
+}
+
+/**
+ * Send a delivery again now, with a fresh set of retries
+ */
+async function replayDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook) throw new Error('Webhook no longer exists');
+
+  delivery.status = 'pending';
+  delivery.attemptCount = 0;
+  return attemptDelivery(delivery, webhook);
+}
+
+function registerWebhookHandlers() {
+  WEBHOOK_EVENTS.forEach(event => onEvent(event, (payload) => {
+    // Held comments are dispatched when a moderator approves them
+    if (event === EVENTS.COMMENTED && payload.comment.moderationStatus !== 'approved') return;
+    return dispatchEvent(event, payload);
+  }));
+}
+
+let retryTimer = null;
+let sweepRunning = false;
+
+/**
+ * Start the background retry sweep. Safe to call more than once.
+ */
+function startWebhookRetryScheduler() {
+  if (retryTimer) return retryTimer;
+  retryTimer = setInterval(() => {
+    // Skip the tick while a slow sweep is still delivering
+    if (sweepRunning) return;
+    sweepRunning = true;
+    runRetrySweep()
+      .catch(error => console.error('❌ Webhook retry sweep failed:', error.message))
+      .finally(() => { sweepRunning = false; });
+  }, RETRY_INTERVAL_MS);
+  retryTimer.unref();
+  return retryTimer;
+}
+
+function stopWebhookRetryScheduler() {
+  clearInterval(retryTimer);
+  retryTimer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  backoffDelay,
+  dispatchEvent,
+  attemptDelivery,
+  runRetrySweep,
+  replayDelivery,
+  registerWebhookHandlers,
+  startWebhookRetryScheduler,
+  stopWebhookRetryScheduler
+};
@@ -0,0 +1,137 @@
+/**
+ * CivicSync Report Workflow
+ *
+ * Single source of truth for report statuses and the transitions between them.
+ * Every status change goes through `validateTransition` before it is applied, so
+ * partners can adjust the workflow by editing the definition below.
+ */
+
+const STATUSES = ['pending', 'in-progress', 'on-hold', 'resolved', 'rejected', 'duplicate', 'reopened'];
+
+// Statuses that take a report out of the work queue
+const CLOSED_STATUSES = ['resolved', 'rejected', 'duplicate'];
+const OPEN_STATUSES = STATUSES.filter(s => !CLOSED_STATUSES.includes(s));
+
+// Roles that can act on reports officially
+const STAFF = ['admin', 'department_officer'];
+const FIELD = [...STAFF, 'field_worker'];
+
+// from -> to -> roles allowed to make that move
+const TRANSITIONS = {
+  'pending': {
+    'in-progress': FIELD,
+    'on-hold': STAFF,
+    'resolved': STAFF,
+    'rejected': STAFF,
+    'duplicate': STAFF
+  },
+  'in-progress': {
+    'pending': STAFF,
+    'on-hold': STAFF,
+    'resolved': STAFF,
+    'rejected': STAFF,
+    'duplicate': STAFF
+  },
+  'on-hold': {
+    'in-progress': FIELD,
+    'resolved': STAFF,
+    'rejected': STAFF,
+    'duplicate': STAFF
+  },
+  'resolved': {
+    'reopened': [...STAFF, 'user']  // Citizens reopen their own reports via POST /:id/reopen
+  },
+  'rejected': {
+    'reopened': STAFF
+  },
+  'duplicate': {
+    'reopened': STAFF,
+    'resolved': STAFF  // Duplicates follow their canonical report when it is resolved
+  },
+  'reopened': {
+    'in-progress': FIELD,
+    'on-hold': STAFF,
+    'resolved': STAFF,
+    'rejected': STAFF,
+    'duplicate': STAFF
+  }
+};
+
+/**
+ * List the statuses a given role may move a report to from its current status
+ */
+function allowedTransitions(from, role) {
+  const targets = TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => targets[to].includes(role));
+}
+
+/**
+ * Check whether a status change is permitted.
+ *
+ * @param {Object} report - Report document (needs `status`, `afterImageUrl`, `_id`)
+ * @param {string} to - Requested status
+ * @param {string} role - Role of the acting user
+ * @param {Object} [payload] - Extra data sent with the change
+ * @param {string} [payload.reason] - Required when rejecting
+ * @param {string} [payload.duplicateOf] - Canonical report id, required when marking duplicate
+ * @param {string} [payload.afterImageUrl] - Proof photo, required when resolving
+ * @returns {{ ok: boolean, status?: number, message?: string, allowed?: string[] }}
+ */
+function validateTransition(report, to, role, payload = {}) {
+  const from = report.status;
+
+  if (!STATUSES.includes(to)) {
+    return { ok: false, status: 400, message: `Unknown status '${to}'` };
+  }
+
+  if (from === to) {
+    return { ok: false, status: 409, message: `Report is already ${to}` };
+  }
+
+  const targets = TRANSITIONS[from] || {};
+  if (!targets[to]) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Cannot move a report from '${from}' to '${to}'`,
+      allowed: allowedTransitions(from, role)
+    };
+  }
+
+  if (!targets[to].includes(role)) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Role '${role}' is not allowed to move a report from '${from}' to '${to}'`,
+      allowed: allowedTransitions(from, role)
+    };
+  }
+
+  if (to === 'rejected' && !(payload.reason && payload.reason.trim())) {
+    return { ok: false, status: 400, message: 'A reason is required to reject a report' };
+  }
+
+  if (to === 'duplicate') {
+    if (!payload.duplicateOf) {
+      return { ok: false, status: 400, message: 'A canonical report is required to mark a report as duplicate' };
+    }
+    if (payload.duplicateOf.toString() === report._id.toString()) {
+      return { ok: false, status: 400, message: 'A report cannot be a duplicate of itself' };
+    }
+  }
+
+  if (to === 'resolved' && !payload.afterImageUrl && !report.afterImageUrl) {
+    return { ok: false, status: 400, message: 'After image required to resolve.' };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  CLOSED_STATUSES,
+  TRANSITIONS,
+  allowedTransitions,
+  validateTransition
+};
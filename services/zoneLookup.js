@@ -0,0 +1,112 @@
+/**
+ * CivicSync Jurisdiction Lookup
+ *
+ * Point-in-polygon lookups against the imported ward boundaries, and the
+ * GeoJSON import that loads those boundaries.
+ */
+
+const Zone = require('../models/Zone');
+const Report = require('../models/Report');
+const { parsePolygon, GEO_FIELD } = require('./geoQuery');
+
+/**
+ * Find the ward containing a point
+ *
+ * @param {number[]} coordinates - [longitude, latitude]
+ * @returns {Object|null} - Zone document (lean) or null
+ */
+async function findZoneForPoint(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  return Zone.findOne({
+    kind: 'ward',
+    geometry: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } }
+  })
+    .select('name code')
+    .lean();
+}
+
+/**
+ * Ward name for a report: the ward containing its point, else the ward the client sent
+ *
+ * @param {number[]} [coordinates] - [longitude, latitude]
+ * @param {string} [fallback] - Ward supplied with the report
+ * @returns {string|undefined}
+ */
+async function resolveWard(coordinates, fallback) {
+  const zone = await findZoneForPoint(coordinates);
+  return zone ? zone.name : (fallback || undefined);
+}
+
+/**
+ * Import ward polygons from a GeoJSON FeatureCollection, upserting by name
+ *
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} options
+ * @param {string} [options.nameProperty='name'] - Feature property holding the ward name
+ * @param {string} [options.codeProperty='code'] - Feature property holding the ward code
+ * @param {string} [options.kind='ward'] - Kind of zone being imported
+ * @returns {{ imported: number, errors: Object[] }}
+ */
+async function importZones(collection, { nameProperty = 'name', codeProperty = 'code', kind = 'ward' } = {}) {
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection');
+  }
+  // bulkWrite upserts skip schema validation, so check the enum here
+  const kinds = Zone.schema.path('kind').enumValues;
+  if (!kinds.includes(kind)) {
+    throw new Error(`Unknown zone kind '${kind}'; expected one of: ${kinds.join(', ')}`);
+  }
+
+  const zones = [];
+  const errors = [];
+
+  collection.features.forEach((feature, index) => {
+    const name = feature.properties?.[nameProperty];
+    if (!name) {
+      errors.push({ index, message: `Feature has no '${nameProperty}' property` });
+      return;
+    }
+    const { geometry, error } = parsePolygon(feature.geometry);
+    if (error) {
+      errors.push({ index, name, message: error });
+      return;
+    }
+    zones.push({
+      name: String(name).trim(),
+      code: feature.properties?.[codeProperty] != null ? String(feature.properties[codeProperty]) : undefined,
+      kind,
+      geometry,
+      properties: feature.properties
+    });
+  });
+
+  if (zones.length) {
+    await Zone.bulkWrite(zones.map(zone => ({
+      updateOne: { filter: { name: zone.name }, update: { $set: zone }, upsert: true }
+    })));
+  }
+
+  return { imported: zones.length, errors };
+}
+
+/**
+ * Re-tag every located report with the ward that contains it
+ *
+ * @returns {number} - Number of reports updated
+ */
+async function retagReports() {
+  const wards = await Zone.find({ kind: 'ward' }).select('name geometry').lean();
+  let updated = 0;
+
+  for (const ward of wards) {
+    const result = await Report.updateMany(
+      { [GEO_FIELD]: { $geoWithin: { $geometry: ward.geometry } }, ward: { $ne: ward.name } },
+      { ward: ward.name }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+}
+
+module.exports = { findZoneForPoint, resolveWard, importZones, retagReports };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ModerationTerm = require('../models/ModerationTerm');
+const { screenText, clearTermCache } = require('../services/moderation');
+
+// No admin additions or exemptions: only the built-in list applies
+ModerationTerm.find = () => ({ lean: async () => [] });
+test.beforeEach(clearTermCache);
+
+const COMPLAINTS = [
+  'sadak pe bada gaddha hai',
+  'kachra yahin chod diya',
+  'suar ghoom rahe hain kooda mein',
+  'MC office has not cleared the drain',
+  'BC road is flooded again',
+  'This stupid delay has gone on for weeks'
+];
+
+for (const text of COMPLAINTS) {
+  test(`does not hold the civic complaint "${text}"`, async () => {
+    const result = await screenText(text);
+    assert.deepStrictEqual(result.matches, []);
+    assert.strictEqual(result.clean, true);
+  });
+}
+
+test('still holds abuse, including stretched and leetspeak spellings', async () => {
+  for (const text of ['tu chutiya hai', 'ch00tiyaaa', 'f.u.c.k this', 'main tujhe maar dunga']) {
+    assert.strictEqual((await screenText(text)).clean, false, text);
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SlaPolicy = require('../models/SlaPolicy');
+const { applySlaTransition } = require('../services/sla');
+
+// No configured policies: the built-in targets apply (medium = 120h)
+SlaPolicy.find = () => ({ lean: async () => [] });
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-06-10T12:00:00Z');
+const at = (hoursFromNow) => new Date(now.getTime() + hoursFromNow * HOUR);
+
+test('reopening restarts the clock and clears the breach', async () => {
+  const report = {
+    status: 'resolved', category: 'Roads', priority: 'medium',
+    dueAt: at(-200), isOverdue: true, nextEscalationAt: at(-10), statusHistory: []
+  };
+  await applySlaTransition(report, 'reopened', now);
+
+  assert.deepStrictEqual(report.dueAt, at(120));
+  assert.strictEqual(report.isOverdue, false);
+  assert.strictEqual(report.nextEscalationAt, undefined);
+});
+
+test('resuming from on-hold moves the due date by the time spent on hold', async () => {
+  const report = {
+    status: 'on-hold', category: 'Roads', priority: 'medium',
+    dueAt: at(-24), isOverdue: false,
+    statusHistory: [{ to: 'in-progress', changedAt: at(-100) }, { to: 'on-hold', changedAt: at(-48) }]
+  };
+  await applySlaTransition(report, 'in-progress', now);
+
+  assert.deepStrictEqual(report.dueAt, at(24));
+  assert.strictEqual(report.isOverdue, false);
+});
+
+test('a breach that the hold time covers is cleared on resume', async () => {
+  const report = {
+    status: 'on-hold', category: 'Roads', priority: 'medium',
+    dueAt: at(-60), isOverdue: true, nextEscalationAt: at(-50),
+    statusHistory: [{ to: 'on-hold', changedAt: at(-72) }]
+  };
+  await applySlaTransition(report, 'in-progress', now);
+
+  assert.deepStrictEqual(report.dueAt, at(12));
+  assert.strictEqual(report.isOverdue, false);
+  assert.strictEqual(report.nextEscalationAt, undefined);
+});
+
+test('other transitions leave the clock alone', async () => {
+  const report = { status: 'pending', dueAt: at(5), isOverdue: false, statusHistory: [] };
+  await applySlaTransition(report, 'in-progress', now);
+  assert.deepStrictEqual(report.dueAt, at(5));
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { computeHotScore } = require('../services/trending');
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+test('severity above the 1-5 scale scores like severity 5', () => {
+  const report = { createdAt: now, upvoteCount: 0, commentCount: 0 };
+  assert.strictEqual(
+    computeHotScore({ ...report, severity: 1e6 }, {}, now),
+    computeHotScore({ ...report, severity: 5 }, {}, now)
+  );
+});
+
+test('a fresh report with inflated severity does not outrank one with real votes', () => {
+  const inflated = computeHotScore({ createdAt: now, severity: 1e6 }, {}, now);
+  const voted = computeHotScore({ createdAt: now, severity: 3, upvoteCount: 10 }, { upvotes: 5 }, now);
+  assert.ok(voted > inflated);
+});
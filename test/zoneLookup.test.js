@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Zone = require('../models/Zone');
+const { importZones, resolveWard } = require('../services/zoneLookup');
+
+// Stand-in for the ward collection: bulkWrite upserts land here, findOne does
+// the point-in-polygon test MongoDB would do for $geoIntersects
+const zones = new Map();
+
+Zone.bulkWrite = async (ops) => {
+  ops.forEach(({ updateOne }) => zones.set(updateOne.filter.name, updateOne.update.$set));
+};
+
+const insideRing = ([x, y], ring) => ring.reduce((inside, [xi, yi], i) => {
+  const [xj, yj] = ring[(i + ring.length - 1) % ring.length];
+  return ((yi > y) !== (yj > y)) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi ? !inside : inside;
+}, false);
+
+Zone.findOne = (query) => {
+  const point = query.geometry.$geoIntersects.$geometry.coordinates;
+  const match = [...zones.values()].find(zone =>
+    zone.kind === query.kind && insideRing(point, zone.geometry.coordinates[0]));
+  const result = match ? { name: match.name, code: match.code } : null;
+  return { select: () => ({ lean: async () => result }) };
+};
+
+const square = (lng, lat, size) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]]
+});
+
+test.before(() => importZones({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Ward 12', code: 'W12' }, geometry: square(77.5, 12.9, 0.1) },
+    { type: 'Feature', properties: { name: 'Ward 13', code: 'W13' }, geometry: square(77.6, 12.9, 0.1) }
+  ]
+}));
+
+test('a point inside an imported zone gets that zone\'s ward', async () => {
+  assert.strictEqual(await resolveWard([77.55, 12.95], 'Ward 99'), 'Ward 12');
+  assert.strictEqual(await resolveWard([77.65, 12.95]), 'Ward 13');
+});
+
+test('a point outside every zone keeps the ward the client sent', async () => {
+  assert.strictEqual(await resolveWard([78.5, 13.5], 'Ward 99'), 'Ward 99');
+  assert.strictEqual(await resolveWard([78.5, 13.5]), undefined);
+});
+
+test('a report without coordinates falls back to the client ward', async () => {
+  assert.strictEqual(await resolveWard(undefined, 'Ward 99'), 'Ward 99');
+});